@@ -4,24 +4,85 @@
  */
 
 const APP = {
-    tts: null,
+    tts: null,  // { sampleRate, numSpeakers } once the worker has loaded a voice
+    ttsWorker: null,
+    ttsRequests: new Map(),  // Pending worker requests by id
+    nextRequestId: 1,
     phrases: null,
-    currentPath: [],
-    history: [],
+    currentPath: [],  // Group ids from the home board down to the open group
+    editMode: false,
+    history: [],  // History entries, most recent first (see addToHistory)
+    historyByText: new Map(),
+    audioCache: new Map(),  // Cache key -> { size, lastUsed }, mirrors AUDIO_CACHE_STORE without the samples
+    audioCacheSize: 0,  // Bytes
+    prerenderToken: 0,  // Bumped to abandon a running pre-render
+    symbolUrls: new Map(),  // Picture id -> object URL
+    lexicon: [],  // Pronunciation entries { word, say }
+    lexiconPattern: null,  // RegExp matching every lexicon word, rebuilt on change
     isGenerating: false,
     audioCtx: null,
+    playbackEnd: 0,  // AudioContext time the last scheduled chunk finishes
     currentSource: null,  // Track current audio source for stopping
+    speechQueue: [],  // Utterances waiting to be spoken
+    currentUtterance: null,  // Utterance being generated/played
+    speechError: null,
+    settings: null,
+    voiceSettings: null,  // Tuning for the loaded voice (see DEFAULT_VOICE_SETTINGS)
+    gainNode: null,
     allPhrases: [],
+    prediction: { board: null, learned: null },  // n-gram models (see createNgramModel)
     voiceName: null,
+    voiceManifest: null,  // Summary of the loaded voice's manifest.json (see summarizeVoiceManifest)
     db: null,
     dirHandle: null,  // File System Access directory handle
+    boardDefaults: null,  // { version, board } from default.json the saved board was merged with
 };
 
 const DB_NAME = 'HTMU_TTS';
-const DB_VERSION = 3;  // Bumped to add PREFS_STORE
+const DB_VERSION = 6;  // Bumped to add IMAGE_STORE
 const VOICE_STORE = 'voices';
 const EXTRACTED_STORE = 'extracted';  // Store for extracted WASM files
 const PREFS_STORE = 'prefs';  // Store for user preferences (phrase customizations)
+const HISTORY_STORE = 'history';  // Spoken phrases with timestamps and counts
+const AUDIO_CACHE_STORE = 'audioCache';  // Generated PCM, keyed by voice/speaker/speed/text
+const IMAGE_STORE = 'images';  // Pictures used as button symbols
+const BOARD_SCHEMA_VERSION = 2;  // Format of the saved phrase board (see migrateBoard)
+
+const DEFAULT_VOICE_SETTINGS = {
+    sid: 0,       // Speaker id for multi-speaker models
+    speed: 1.0,   // Speaking rate
+    volume: 1.0,  // Output gain
+    pitch: 0,     // Pitch shift in semitones
+};
+
+const DEFAULT_SETTINGS = {
+    tapPolicy: 'interrupt',  // What a phrase tap does while speaking: 'interrupt' | 'enqueue' | 'ignore'
+    wordPrediction: true,    // Show the next-word/completion strip under the message bar
+    historyRetentionDays: 365,  // Unpinned history unused for longer is pruned (0 keeps everything)
+    normalizationLocale: 'auto',  // Date order etc.; 'auto' follows the browser
+    normalizationOff: [],    // Ids of NORMALIZATION_RULES that are switched off
+    defaultVoice: null,      // Voice package loaded at startup (null: first installed)
+    audioCacheMB: 50,        // Size cap for cached speech audio (0 disables the cache)
+    prerenderBoard: false,   // Generate the shown group's phrases in the background
+    scanMode: 'off',         // Switch scanning: 'off' | 'auto' (timed) | 'step' (a switch moves the highlight)
+    scanSpeed: 1.5,          // Seconds per highlight in auto scanning
+    scanCues: 'off',         // Announce highlights: 'off' | 'voice' | 'quiet' (same voice, lower volume)
+    scanSelectKey: ' ',      // Keys sent by the switches (KeyboardEvent.key)
+    scanNextKey: 'Enter',
+    scanBackKey: 'Backspace',
+    dwellEnabled: false,     // Select whatever the pointer rests on (head mouse, eye gaze)
+    dwellTime: 1000,         // ms of resting needed to select
+    dwellRearm: 500,         // ms after a dwell selection before the next one can start
+    longPressEdit: true,     // Holding a phrase button opens the editor
+    tapMinHold: 0,           // ms a button must be held before it counts
+    tapRepeatIgnore: 0,      // ms after a tap during which further taps are ignored
+    tapActivateOn: 'release',  // 'release' | 'press' (fires once the minimum hold is reached)
+    touchGuard: false,       // Ignore multi-finger touches and presses that slide (swipes, brushing)
+    symbolLabel: 'below',    // Label on buttons with a symbol: 'below' | 'above' | 'none' (symbol only)
+    theme: 'light',          // 'light' | 'dark' | 'contrast'
+    buttonFontSize: 13,      // px, phrase button labels
+    colorCoding: 'off',      // 'off' | 'fitzgerald' (color phrases by part of speech)
+};
 
 /**
  * Initialize IndexedDB
@@ -47,6 +108,19 @@ async function initDB() {
             if (!db.objectStoreNames.contains(PREFS_STORE)) {
                 db.createObjectStore(PREFS_STORE, { keyPath: 'key' });
             }
+            if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+                const historyStore = db.createObjectStore(HISTORY_STORE, { keyPath: 'text' });
+                historyStore.createIndex('lastUsed', 'lastUsed');
+            }
+            if (!db.objectStoreNames.contains(AUDIO_CACHE_STORE)) {
+                const cacheStore = db.createObjectStore(AUDIO_CACHE_STORE, { keyPath: 'key' });
+                cacheStore.createIndex('lastUsed', 'lastUsed');
+                cacheStore.createIndex('size', 'size');
+                cacheStore.createIndex('voice', 'voice');
+            }
+            if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+                db.createObjectStore(IMAGE_STORE, { keyPath: 'id' });
+            }
         };
     });
 }
@@ -114,6 +188,91 @@ async function deleteVoiceFromStorage(name) {
     });
 }
 
+/**
+ * Installed voices with their size, install date and display label, kept in prefs
+ * so listing them doesn't load every package into memory
+ */
+async function loadVoiceList() {
+    const names = await getSavedVoices();
+    const saved = (await loadPref('voiceList')) || [];
+    const list = saved.filter(meta => names.includes(meta.name));
+    let changed = list.length !== saved.length;
+    
+    // Voices installed before the list existed (or restored from a backup)
+    for (const name of names) {
+        if (list.some(meta => meta.name === name)) continue;
+        changed = true;
+        const record = await loadVoiceFromStorage(name);
+        list.push({
+            name,
+            label: name,
+            size: record && record.data ? record.data.byteLength : 0,
+            installedAt: (record && record.savedAt) || Date.now()
+        });
+    }
+    
+    if (changed) await savePref('voiceList', list);
+    return list;
+}
+
+/**
+ * Keep the voice list's copy of a voice's manifest current; a new voice takes its label from it
+ */
+async function recordVoiceManifest(name, summary) {
+    try {
+        const list = await loadVoiceList();
+        const meta = list.find(m => m.name === name);
+        if (!meta || JSON.stringify(meta.manifest || null) === JSON.stringify(summary)) return;
+        if (summary && !meta.manifest && meta.label === name) meta.label = summary.name;
+        meta.manifest = summary;
+        await savePref('voiceList', list);
+    } catch (error) {
+        console.warn('[Storage] Failed to record voice manifest:', error);
+    }
+}
+
+async function updateVoiceList(update) {
+    const list = await loadVoiceList();
+    update(list);
+    await savePref('voiceList', list);
+    return list;
+}
+
+/**
+ * Remove a voice everywhere: package, extracted files, tuning, cached audio and service worker cache
+ */
+async function uninstallVoice(name) {
+    await deleteVoiceFromStorage(name);
+    await deleteRecords(EXTRACTED_STORE, [name]);
+    await deletePref(`voice:${name}`);
+    await updateVoiceList(list => {
+        const idx = list.findIndex(meta => meta.name === name);
+        if (idx !== -1) list.splice(idx, 1);
+    });
+    
+    const cached = await new Promise((resolve, reject) => {
+        const tx = APP.db.transaction(AUDIO_CACHE_STORE, 'readonly');
+        const request = tx.objectStore(AUDIO_CACHE_STORE).index('voice').getAllKeys(name);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    await deleteRecords(AUDIO_CACHE_STORE, cached);
+    cached.forEach(key => {
+        const meta = APP.audioCache.get(key);
+        if (meta) APP.audioCacheSize -= meta.size;
+        APP.audioCache.delete(key);
+    });
+    
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({ type: 'DELETE_VOICE', baseUrl: getVoiceCacheUrl(name) });
+    }
+    if (APP.settings.defaultVoice === name) {
+        APP.settings.defaultVoice = null;
+        saveSettings();
+    }
+    console.log('[Storage] Voice uninstalled:', name);
+}
+
 /**
  * Save extracted WASM files to IndexedDB (much faster than re-extracting from ZIP)
  */
@@ -157,7 +316,7 @@ async function loadExtractedFiles(voiceName) {
 }
 
 /**
- * Save customized phrases to IndexedDB
+ * Save customized phrases to IndexedDB, along with the defaults they were last reconciled against
  */
 async function savePhrasesToStorage() {
     if (!APP.db) return;
@@ -168,6 +327,9 @@ async function savePhrasesToStorage() {
         const data = { 
             key: 'phrases', 
             data: APP.phrases,
+            schemaVersion: BOARD_SCHEMA_VERSION,
+            defaultsVersion: APP.boardDefaults ? APP.boardDefaults.version : 0,
+            defaults: APP.boardDefaults ? APP.boardDefaults.board : null,
             timestamp: Date.now() 
         };
         const request = store.put(data);
@@ -181,7 +343,7 @@ async function savePhrasesToStorage() {
 }
 
 /**
- * Load customized phrases from IndexedDB
+ * Load customized phrases record from IndexedDB ({ data, schemaVersion, defaultsVersion, defaults })
  */
 async function loadPhrasesFromStorage() {
     if (!APP.db) return null;
@@ -193,7 +355,7 @@ async function loadPhrasesFromStorage() {
         request.onsuccess = () => {
             if (request.result && request.result.data) {
                 console.log('[Prefs] Loaded saved phrases');
-                resolve(request.result.data);
+                resolve(request.result);
             } else {
                 resolve(null);
             }
@@ -202,6 +364,126 @@ async function loadPhrasesFromStorage() {
     });
 }
 
+/**
+ * Read every record from an object store
+ */
+async function getAllRecords(storeName) {
+    return new Promise((resolve, reject) => {
+        const tx = APP.db.transaction(storeName, 'readonly');
+        const request = tx.objectStore(storeName).getAll();
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Write records to an object store in one transaction, optionally clearing it first
+ */
+async function putRecords(storeName, records, { clear = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const tx = APP.db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        if (clear) store.clear();
+        records.forEach(record => store.put(record));
+        
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Delete records from an object store by key
+ */
+async function deleteRecords(storeName, keys) {
+    return new Promise((resolve, reject) => {
+        const tx = APP.db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        keys.forEach(key => store.delete(key));
+        
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Save a preference value to IndexedDB
+ */
+async function savePref(key, value) {
+    if (!APP.db) return;
+    return new Promise((resolve, reject) => {
+        const tx = APP.db.transaction(PREFS_STORE, 'readwrite');
+        const store = tx.objectStore(PREFS_STORE);
+        const request = store.put({ key, data: value, timestamp: Date.now() });
+        
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Load a preference value from IndexedDB (null if unset)
+ */
+async function loadPref(key) {
+    if (!APP.db) return null;
+    return new Promise((resolve, reject) => {
+        const tx = APP.db.transaction(PREFS_STORE, 'readonly');
+        const store = tx.objectStore(PREFS_STORE);
+        const request = store.get(key);
+        
+        request.onsuccess = () => resolve(request.result ? request.result.data : null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function deletePref(key) {
+    if (!APP.db) return;
+    return deleteRecords(PREFS_STORE, [key]);
+}
+
+/**
+ * Load app settings, filling in defaults for anything not saved yet
+ */
+async function loadSettings() {
+    let saved = null;
+    try {
+        saved = await loadPref('settings');
+    } catch (error) {
+        console.warn('[Prefs] Failed to load settings:', error);
+    }
+    APP.settings = { ...DEFAULT_SETTINGS, ...(saved || {}) };
+}
+
+function saveSettings() {
+    savePref('settings', APP.settings).catch(error => {
+        console.error('[Prefs] Failed to save settings:', error);
+    });
+}
+
+/**
+ * Load tuning for a voice package, keyed by its name
+ */
+async function loadVoiceSettings(voiceName) {
+    let saved = null;
+    try {
+        saved = await loadPref(`voice:${voiceName}`);
+    } catch (error) {
+        console.warn('[Prefs] Failed to load voice settings:', error);
+    }
+    const settings = { ...DEFAULT_VOICE_SETTINGS, ...(saved || {}) };
+    if (APP.tts && settings.sid >= APP.tts.numSpeakers) settings.sid = 0;
+    return settings;
+}
+
+function saveVoiceSettings() {
+    if (!APP.voiceName) return;
+    savePref(`voice:${APP.voiceName}`, APP.voiceSettings).catch(error => {
+        console.error('[Prefs] Failed to save voice settings:', error);
+    });
+}
+
 // DOM elements
 const voiceLoadScreen = document.getElementById('voiceLoadScreen');
 const uploadArea = document.getElementById('uploadArea');
@@ -210,26 +492,113 @@ const loadingOverlay = document.getElementById('loadingOverlay');
 const loadingText = document.getElementById('loadingText');
 const textInput = document.getElementById('textInput');
 const speakBtn = document.getElementById('speakBtn');
+const stopBtn = document.getElementById('stopBtn');
 const clearBtn = document.getElementById('clearBtn');
 const breadcrumb = document.getElementById('breadcrumb');
 const phraseGrid = document.getElementById('phraseGrid');
 const statusText = document.getElementById('statusText');
 const suggestions = document.getElementById('suggestions');
+const predictionBar = document.getElementById('predictionBar');
 const btnPhrases = document.getElementById('btnPhrases');
 const btnHistory = document.getElementById('btnHistory');
 const changeVoiceBtn = document.getElementById('changeVoiceBtn');
 const editModal = document.getElementById('editModal');
 const editPhraseText = document.getElementById('editPhraseText');
 const editSpeakText = document.getElementById('editSpeakText');
+const editInsertText = document.getElementById('editInsertText');
 const editCancel = document.getElementById('editCancel');
 const editDelete = document.getElementById('editDelete');
 const editSave = document.getElementById('editSave');
+const editModalTitle = document.getElementById('editModalTitle');
+const editGroupSelect = document.getElementById('editGroupSelect');
+const editWordClassSelect = document.getElementById('editWordClassSelect');
+const btnEdit = document.getElementById('btnEdit');
+const groupModal = document.getElementById('groupModal');
+const groupModalTitle = document.getElementById('groupModalTitle');
+const groupNameInput = document.getElementById('groupNameInput');
+const groupCancel = document.getElementById('groupCancel');
+const groupDelete = document.getElementById('groupDelete');
+const groupSave = document.getElementById('groupSave');
+const btnSettings = document.getElementById('btnSettings');
+const settingsModal = document.getElementById('settingsModal');
+const settingsClose = document.getElementById('settingsClose');
+const tapPolicySelect = document.getElementById('tapPolicySelect');
+const wordPredictionToggle = document.getElementById('wordPredictionToggle');
+const historyRetentionSelect = document.getElementById('historyRetentionSelect');
+const lexiconModal = document.getElementById('lexiconModal');
+const scanModeSelect = document.getElementById('scanModeSelect');
+const dwellToggle = document.getElementById('dwellToggle');
+const symbolLabelSelect = document.getElementById('symbolLabelSelect');
+const themeSelect = document.getElementById('themeSelect');
+const buttonFontSizeInput = document.getElementById('buttonFontSizeInput');
+const colorCodingSelect = document.getElementById('colorCodingSelect');
+const layoutModal = document.getElementById('layoutModal');
+const layoutColumnsSelect = document.getElementById('layoutColumnsSelect');
+const layoutRowsSelect = document.getElementById('layoutRowsSelect');
+const layoutFixedToggle = document.getElementById('layoutFixedToggle');
+const tapMinHoldInput = document.getElementById('tapMinHoldInput');
+const tapRepeatIgnoreInput = document.getElementById('tapRepeatIgnoreInput');
+const tapActivateOnSelect = document.getElementById('tapActivateOnSelect');
+const touchGuardToggle = document.getElementById('touchGuardToggle');
+const dwellTimeInput = document.getElementById('dwellTimeInput');
+const dwellRearmInput = document.getElementById('dwellRearmInput');
+const longPressEditToggle = document.getElementById('longPressEditToggle');
+const dwellRing = document.getElementById('dwellRing');
+const scanSpeedInput = document.getElementById('scanSpeedInput');
+const scanCuesSelect = document.getElementById('scanCuesSelect');
+const voiceManagerModal = document.getElementById('voiceManagerModal');
+const voiceManagerList = document.getElementById('voiceManagerList');
+const voiceManagerInput = document.getElementById('voiceManagerInput');
+const saveAudioBtn = document.getElementById('saveAudioBtn');
+const audioExportModal = document.getElementById('audioExportModal');
+const audioExportPreview = document.getElementById('audioExportPreview');
+const audioFormatSelect = document.getElementById('audioFormatSelect');
+const audioShareBtn = document.getElementById('audioShareBtn');
+const audioCacheSelect = document.getElementById('audioCacheSelect');
+const audioCacheInfo = document.getElementById('audioCacheInfo');
+const prerenderToggle = document.getElementById('prerenderToggle');
+const normalizationRules = document.getElementById('normalizationRules');
+const normalizationLocaleSelect = document.getElementById('normalizationLocaleSelect');
+const normalizationPreviewInput = document.getElementById('normalizationPreviewInput');
+const normalizationPreviewOutput = document.getElementById('normalizationPreviewOutput');
+const lexiconList = document.getElementById('lexiconList');
+const lexiconWordInput = document.getElementById('lexiconWordInput');
+const lexiconSayInput = document.getElementById('lexiconSayInput');
+const lexiconImportInput = document.getElementById('lexiconImportInput');
+const voiceSettingsTitle = document.getElementById('voiceSettingsTitle');
+const speakerSelect = document.getElementById('speakerSelect');
+const speakerPreviewBtn = document.getElementById('speakerPreviewBtn');
+const voiceSpeedInput = document.getElementById('voiceSpeedInput');
+const voiceVolumeInput = document.getElementById('voiceVolumeInput');
+const voicePitchInput = document.getElementById('voicePitchInput');
+const voiceResetBtn = document.getElementById('voiceResetBtn');
+const boardImportInput = document.getElementById('boardImportInput');
+const importModal = document.getElementById('importModal');
+const importSummary = document.getElementById('importSummary');
+const backupRestoreInput = document.getElementById('backupRestoreInput');
 
 // Long press state
-const LONG_PRESS_DURATION = 800; // ms
-let longPressTimer = null;
-let editingPhraseIndex = null;
-let editingGroupPath = [];
+const LONG_PRESS_DURATION = 800; // ms, on top of the minimum hold time
+
+// Buttons whose action runs on press/release rather than click (see activateButton)
+const pressActions = new WeakMap();
+
+// Board editor state
+let editingItem = null;  // Phrase being edited (null when adding)
+let editingGroupId = null;
+let editingItems = null;  // Item list it belongs to
+let dragJustEnded = false;
+let pendingImport = null;  // Board waiting for merge/replace confirmation
+
+// Typeahead keyboard selection
+let suggestionIndex = -1;
+
+// Text waiting for the save audio choice
+let audioExportText = null;
+let audioExportFile = null;  // { text, format, file } rendered and waiting for the Share tap
+
+// Scan setting waiting for a key press ('scanSelectKey' etc.)
+let scanKeyCapture = null;
 
 /**
  * Check if File System Access API is available
@@ -261,15 +630,21 @@ async function loadFromFileSystem(voiceName) {
 }
 
 /**
- * Load voice from .htmuvoice file or ArrayBuffer
+ * Load voice from .htmuvoice file or ArrayBuffer.
+ * beforeInit runs once the package is extracted and validated, just before the engine starts
+ * (e.g. to stop the voice being replaced, which keeps working if the new package is bad).
  */
-async function loadVoiceFile(fileOrBuffer, fileName) {
+async function loadVoiceFile(fileOrBuffer, fileName, { beforeInit = null } = {}) {
     loadingOverlay.classList.remove('hidden');
     loadingText.textContent = 'Preparing voice...';
     const timings = { start: performance.now() };
     
     const voiceName = fileName || (fileOrBuffer.name ? fileOrBuffer.name.replace('.htmuvoice', '') : 'voice');
     const isFile = fileOrBuffer instanceof File;
+    const startEngine = async (files) => {
+        if (beforeInit) beforeInit();
+        await initTTSFromFiles(files, voiceName, timings);
+    };
     
     try {
         // 1. First check if we have already extracted files cached (fastest!)
@@ -280,7 +655,7 @@ async function loadVoiceFile(fileOrBuffer, fileName) {
                 timings.cacheHit = performance.now();
                 console.log(`[Timing] Cache hit: ${timings.cacheHit - timings.start}ms`);
                 loadingText.textContent = 'Loading cached voice...';
-                await initTTSFromFiles(cachedFiles, voiceName, timings);
+                await startEngine(cachedFiles);
                 return;
             }
         }
@@ -293,62 +668,32 @@ async function loadVoiceFile(fileOrBuffer, fileName) {
             if (fsFiles) {
                 timings.filesLoaded = performance.now();
                 console.log(`[Timing] Files loaded from disk: ${timings.filesLoaded - timings.start}ms`);
-                await initTTSFromFiles(fsFiles, voiceName, timings);
+                await startEngine(fsFiles);
                 return;
             }
         }
         
         // 3. Need to extract from ZIP - either from provided file or storage
-        let zipData;
-        if (isFile) {
-            zipData = await fileOrBuffer.arrayBuffer();
-            // Save ZIP to IndexedDB for backup
-            if (APP.db) {
-                await saveVoiceToStorage(voiceName, zipData);
-            }
-            console.log('Voice ZIP saved to storage:', voiceName);
-        } else {
-            zipData = fileOrBuffer;
-        }
-        
-        timings.savedToStorage = performance.now();
-        console.log(`[Timing] Save to storage: ${timings.savedToStorage - timings.start}ms`);
+        const zipData = isFile ? await fileOrBuffer.arrayBuffer() : fileOrBuffer;
         
         loadingText.textContent = 'Opening voice package...';
-        const zip = await JSZip.loadAsync(zipData);
-        timings.zipLoaded = performance.now();
-        console.log(`[Timing] ZIP loaded: ${timings.zipLoaded - timings.savedToStorage}ms`);
-        
-        // Extract files
-        const files = {};
-        let fileCount = 0;
-        const totalFiles = Object.keys(zip.files).filter(n => !zip.files[n].dir).length;
-        
-        for (const [name, zipEntry] of Object.entries(zip.files)) {
-            if (!zipEntry.dir) {
-                fileCount++;
-                const baseName = name.split('/').pop();
-                loadingText.textContent = `Loading voice (${Math.round(fileCount/totalFiles*100)}%)...`;
-                
-                if (baseName.endsWith('.js')) {
-                    files[baseName] = await zipEntry.async('string');
-                } else {
-                    files[baseName] = await zipEntry.async('arraybuffer');
-                }
-            }
-        }
-        
-        // Verify required files
-        const required = ['sherpa-onnx-tts.js', 'sherpa-onnx-wasm-main-tts.js', 
-                         'sherpa-onnx-wasm-main-tts.wasm', 'sherpa-onnx-wasm-main-tts.data'];
-        for (const req of required) {
-            if (!files[req]) {
-                throw new Error(`Voice package is incomplete`);
-            }
-        }
+        const files = await extractVoicePackage(zipData, (percent) => {
+            loadingText.textContent = `Loading voice (${percent}%)...`;
+        });
         
         timings.filesExtracted = performance.now();
-        console.log(`[Timing] Files extracted: ${timings.filesExtracted - timings.zipLoaded}ms`);
+        console.log(`[Timing] Files extracted: ${timings.filesExtracted - timings.start}ms`);
+        
+        // Only keep packages that passed validation
+        if (isFile && APP.db) {
+            await saveVoiceToStorage(voiceName, zipData);
+            await updateVoiceList(list => {
+                const meta = list.find(m => m.name === voiceName);
+                meta.size = zipData.byteLength;
+                meta.installedAt = Date.now();
+            });
+            console.log('Voice ZIP saved to storage:', voiceName);
+        }
         
         // Save extracted files to IndexedDB for FAST next load
         if (APP.db) {
@@ -359,7 +704,7 @@ async function loadVoiceFile(fileOrBuffer, fileName) {
         }
         
         // Initialize TTS with extracted files
-        await initTTSFromFiles(files, voiceName, timings);
+        await startEngine(files);
         
     } catch (error) {
         console.error('Failed to load voice:', error);
@@ -368,6 +713,203 @@ async function loadVoiceFile(fileOrBuffer, fileName) {
     }
 }
 
+const VOICE_MANIFEST = 'manifest.json';
+const VOICE_MANIFEST_FORMAT_VERSION = 1;
+const VOICE_REQUIRED_FILES = ['sherpa-onnx-tts.js', 'sherpa-onnx-wasm-main-tts.js',
+    'sherpa-onnx-wasm-main-tts.wasm', 'sherpa-onnx-wasm-main-tts.data'];
+
+/**
+ * Extract the engine files from a .htmuvoice ZIP.
+ * Files are keyed by their path inside the package; a single top-level folder is stripped.
+ * If the package has a manifest.json it is validated and every checksum verified.
+ */
+async function extractVoicePackage(zipData, onProgress) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(zipData);
+    } catch (error) {
+        throw new Error('This is not a voice package (the file is not a ZIP archive)');
+    }
+    
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !entry.name.startsWith('__MACOSX/'));
+    if (entries.length === 0) throw new Error('Voice package is empty');
+    
+    // Packages zipped from a folder have everything under "folder/"
+    const firstSegments = new Set(entries.map(entry => entry.name.split('/')[0]));
+    const prefix = firstSegments.size === 1 && entries.every(e => e.name.includes('/'))
+        ? [...firstSegments][0] + '/'
+        : '';
+    
+    // Extract files
+    const files = {};
+    let fileCount = 0;
+    for (const entry of entries) {
+        fileCount++;
+        const path = entry.name.slice(prefix.length);
+        if (onProgress) onProgress(Math.round(fileCount / entries.length * 100));
+        
+        if (path.endsWith('.js') || path === VOICE_MANIFEST) {
+            files[path] = await entry.async('string');
+        } else {
+            files[path] = await entry.async('arraybuffer');
+        }
+    }
+    
+    // Verify required files
+    for (const required of VOICE_REQUIRED_FILES) {
+        if (files[required]) continue;
+        const nested = Object.keys(files).find(path => path.split('/').pop() === required);
+        throw new Error(nested
+            ? `Voice package has ${required} in a subfolder (${nested}); it must be at the top level`
+            : `Voice package is missing ${required}`);
+    }
+    
+    if (files[VOICE_MANIFEST]) {
+        const manifest = parseVoiceManifest(files[VOICE_MANIFEST]);
+        await verifyVoiceChecksums(files, manifest);
+        console.log(`[Voice] Manifest OK: ${manifest.name} (${manifest.language}), engine ${manifest.engine.version}`);
+    } else {
+        console.warn('[Voice] Package has no manifest.json; skipping validation');
+    }
+    
+    return files;
+}
+
+/**
+ * Parse and validate a voice manifest:
+ * {
+ *   "format": "htmuvoice", "formatVersion": 1,
+ *   "name": "Amy", "language": "en-US",
+ *   "speakers": { "count": 2, "names": ["Amy", "Ben"] },
+ *   "sampleRate": 22050,
+ *   "engine": { "name": "sherpa-onnx", "version": "1.10.16" },
+ *   "files": { "sherpa-onnx-wasm-main-tts.data": { "size": 123, "sha256": "…" }, … }
+ * }
+ */
+function parseVoiceManifest(text) {
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`manifest.json is not valid JSON (${error.message})`);
+    }
+    const fail = (message) => { throw new Error(`manifest.json: ${message}`); };
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    
+    if (!isObject(manifest)) fail('must be a JSON object');
+    if (manifest.format !== 'htmuvoice') fail('"format" must be "htmuvoice"');
+    if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion < 1) {
+        fail('"formatVersion" must be a positive integer');
+    }
+    if (manifest.formatVersion > VOICE_MANIFEST_FORMAT_VERSION) {
+        fail(`format version ${manifest.formatVersion} needs a newer version of this app`);
+    }
+    if (typeof manifest.name !== 'string' || !manifest.name.trim()) fail('"name" must be a non-empty string');
+    if (typeof manifest.language !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(manifest.language)) {
+        fail('"language" must be a language tag such as "en" or "en-GB"');
+    }
+    if (!Number.isInteger(manifest.sampleRate) || manifest.sampleRate < 8000 || manifest.sampleRate > 192000) {
+        fail('"sampleRate" must be a whole number of Hz between 8000 and 192000');
+    }
+    
+    const speakers = manifest.speakers;
+    if (!isObject(speakers) || !Number.isInteger(speakers.count) || speakers.count < 1) {
+        fail('"speakers.count" must be a positive integer');
+    }
+    if (speakers.names !== undefined) {
+        if (!Array.isArray(speakers.names) || speakers.names.some(name => typeof name !== 'string')) {
+            fail('"speakers.names" must be a list of strings');
+        }
+        if (speakers.names.length > speakers.count) {
+            fail(`"speakers.names" lists ${speakers.names.length} names but "speakers.count" is ${speakers.count}`);
+        }
+    }
+    
+    const engine = manifest.engine;
+    if (!isObject(engine) || engine.name !== 'sherpa-onnx') fail('"engine.name" must be "sherpa-onnx"');
+    if (typeof engine.version !== 'string' || !/^\d+\.\d+(\.\d+)?/.test(engine.version)) {
+        fail('"engine.version" must be a version such as "1.10.16"');
+    }
+    
+    if (!isObject(manifest.files)) fail('"files" must list the package files with their checksums');
+    VOICE_REQUIRED_FILES.forEach(name => {
+        if (!manifest.files[name]) fail(`"files" has no entry for ${name}`);
+    });
+    Object.entries(manifest.files).forEach(([name, info]) => {
+        if (!isObject(info) || typeof info.sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(info.sha256)) {
+            fail(`"files.${name}.sha256" must be a 64-character hex SHA-256`);
+        }
+        if (info.size !== undefined && (!Number.isInteger(info.size) || info.size < 0)) {
+            fail(`"files.${name}.size" must be a byte count`);
+        }
+    });
+    
+    return manifest;
+}
+
+/**
+ * Check every file listed in the manifest against its size and SHA-256
+ */
+async function verifyVoiceChecksums(files, manifest) {
+    for (const [name, info] of Object.entries(manifest.files)) {
+        const data = files[name];
+        if (data === undefined) throw new Error(`Voice package is missing ${name}, which its manifest lists`);
+        
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+        if (info.size !== undefined && bytes.byteLength !== info.size) {
+            throw new Error(`${name} is ${bytes.byteLength} bytes but the manifest says ${info.size}; the package may be truncated`);
+        }
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+        const hex = [...digest].map(b => b.toString(16).padStart(2, '0')).join('');
+        if (hex !== info.sha256.toLowerCase()) {
+            throw new Error(`${name} failed its checksum; the package is damaged or was modified`);
+        }
+    }
+}
+
+/**
+ * The parts of a manifest shown in the voice picker, or null for packages without one
+ */
+function summarizeVoiceManifest(files) {
+    if (!files[VOICE_MANIFEST]) return null;
+    try {
+        const manifest = parseVoiceManifest(files[VOICE_MANIFEST]);
+        return {
+            name: manifest.name,
+            language: manifest.language,
+            speakerCount: manifest.speakers.count,
+            speakerNames: manifest.speakers.names || [],
+            sampleRate: manifest.sampleRate,
+            engineVersion: manifest.engine.version
+        };
+    } catch (error) {
+        console.warn('[Voice] Ignoring invalid manifest:', error.message);
+        return null;
+    }
+}
+
+/**
+ * "English (en-GB) · 2 speakers · 22 kHz · engine 1.10.16"
+ */
+function describeVoiceManifest(summary) {
+    if (!summary) return 'No manifest';
+    let language = summary.language;
+    try {
+        const displayName = new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' }).of(summary.language);
+        if (displayName) language = `${displayName} (${summary.language})`;
+    } catch (error) {}
+    const speakers = summary.speakerCount === 1 ? '1 speaker' : `${summary.speakerCount} speakers`;
+    return `${language} · ${speakers} · ${summary.sampleRate / 1000} kHz · engine ${summary.engineVersion}`;
+}
+
+/**
+ * Where the service worker serves a voice's files from.
+ * The name is percent-encoded the way request URLs are, so the SW can match cached files by prefix.
+ */
+function getVoiceCacheUrl(voiceName) {
+    return `${location.origin}${location.pathname.replace(/\/[^/]*$/, '/')}/voice/${encodeURIComponent(voiceName)}/`;
+}
+
 /**
  * Cache voice files via Service Worker
  */
@@ -377,7 +919,7 @@ async function cacheVoiceFiles(files, voiceName) {
         return null;
     }
     
-    const baseUrl = `${location.origin}${location.pathname.replace(/\/[^/]*$/, '/')}/voice/${voiceName}/`;
+    const baseUrl = getVoiceCacheUrl(voiceName);
     
     for (const [name, data] of Object.entries(files)) {
         const url = baseUrl + name;
@@ -430,574 +972,5093 @@ async function initTTSFromFiles(files, voiceName, timings) {
     timings.urlsReady = performance.now();
     console.log(`[Timing] URLs ready: ${(timings.urlsReady - timings.filesCached).toFixed(0)}ms`);
     
-    window.Module = {
-        locateFile: function(path) {
-            console.log('[Module.locateFile]', path);
-            if (path.endsWith('.wasm')) return wasmUrl;
-            if (path.endsWith('.data')) return dataUrl;
-            return path;
-        },
-        onRuntimeInitialized: function() {
-            timings.wasmInit = performance.now();
-            console.log(`[Timing] WASM initialized: ${(timings.wasmInit - timings.urlsReady).toFixed(0)}ms`);
-            loadingText.textContent = 'Almost ready...';
-            
-            try {
-                const createStart = performance.now();
-                APP.tts = createOfflineTts(Module);
-                timings.ttsCreated = performance.now();
-                console.log(`[Timing] TTS created: ${(timings.ttsCreated - timings.wasmInit).toFixed(0)}ms`);
-                console.log(`[Timing] TOTAL: ${(timings.ttsCreated - timings.start).toFixed(0)}ms`);
-                
-                loadingOverlay.classList.add('hidden');
-                voiceLoadScreen.classList.add('hidden');
-                textInput.disabled = false;
-                speakBtn.disabled = false;
-                statusText.textContent = 'Ready';
-                APP.voiceName = voiceName;
-                loadPhrases();
-            } catch (error) {
-                console.error('TTS creation failed:', error);
-                loadingText.textContent = 'Failed to load voice.';
-            }
+    try {
+        const { sampleRate, numSpeakers } = await startTTSWorker(files, wasmUrl, dataUrl);
+        APP.tts = { sampleRate, numSpeakers };
+        APP.voiceManifest = summarizeVoiceManifest(files);
+        if (APP.voiceManifest && APP.voiceManifest.sampleRate !== sampleRate) {
+            console.warn(`[Voice] Manifest says ${APP.voiceManifest.sampleRate} Hz but the engine reports ${sampleRate} Hz`);
         }
-    };
+        if (APP.voiceManifest && APP.voiceManifest.speakerCount !== numSpeakers) {
+            console.warn(`[Voice] Manifest says ${APP.voiceManifest.speakerCount} speakers but the engine reports ${numSpeakers}`);
+        }
+        APP.voiceSettings = await loadVoiceSettings(voiceName);
+        if (APP.db) await recordVoiceManifest(voiceName, APP.voiceManifest);
+    } catch (error) {
+        console.error('TTS creation failed:', error);
+        loadingText.textContent = 'Failed to load voice.';
+        throw error;
+    }
     
-    // Inject scripts
-    const ttsScript = document.createElement('script');
-    ttsScript.textContent = files['sherpa-onnx-tts.js'];
-    document.head.appendChild(ttsScript);
+    timings.ttsCreated = performance.now();
+    console.log(`[Timing] TTS created: ${(timings.ttsCreated - timings.urlsReady).toFixed(0)}ms`);
+    console.log(`[Timing] TOTAL: ${(timings.ttsCreated - timings.start).toFixed(0)}ms`);
     
-    const glueScript = document.createElement('script');
-    glueScript.textContent = files['sherpa-onnx-wasm-main-tts.js'];
-    document.head.appendChild(glueScript);
-}
-
-/**
- * Load phrases from JSON
- */
-async function loadPhrases() {
-    try {
-        const response = await fetch('default.json');
-        APP.phrases = await response.json();
-        APP.allPhrases = getAllPhrases(APP.phrases);
-        renderPhrases();
-    } catch (error) {
-        console.error('Failed to load phrases:', error);
-        APP.phrases = { phrases: [{ type: 'phrase', text: 'Hello' }], groups: {} };
-        APP.allPhrases = ['Hello'];
+    loadingOverlay.classList.add('hidden');
+    voiceLoadScreen.classList.add('hidden');
+    textInput.disabled = false;
+    speakBtn.disabled = false;
+    statusText.textContent = 'Ready';
+    APP.voiceName = voiceName;
+    // Switching voices keeps the board that's already showing
+    if (APP.phrases) {
         renderPhrases();
+    } else {
+        loadPhrases();
     }
 }
 
 /**
- * Get all phrases for typeahead
+ * Start the synthesis worker and load the voice engine into it
  */
-function getAllPhrases(data) {
-    const phrases = [];
-    
-    if (data.phrases) {
-        data.phrases.forEach(item => {
-            if (item.type === 'phrase') phrases.push(item.text);
-        });
-    }
+function startTTSWorker(files, wasmUrl, dataUrl) {
+    if (APP.ttsWorker) stopTTSWorker();
     
-    if (data.groups) {
-        Object.values(data.groups).forEach(group => {
-            if (group.phrases) {
-                group.phrases.forEach(item => {
-                    if (item.type === 'phrase') phrases.push(item.text);
-                });
-            }
-        });
-    }
+    const worker = new Worker('tts-worker.js');
+    APP.ttsWorker = worker;
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = (event) => {
+        console.error('[TTS] Worker error:', event.message);
+        rejectAllRequests(new Error(event.message || 'Voice engine crashed'));
+    };
     
-    phrases.push(...APP.history);
-    return [...new Set(phrases)];
+    const { id, promise } = createWorkerRequest();
+    worker.postMessage({
+        type: 'init',
+        id,
+        ttsScript: files['sherpa-onnx-tts.js'],
+        glueScript: files['sherpa-onnx-wasm-main-tts.js'],
+        wasmUrl,
+        dataUrl
+    });
+    return promise;
 }
 
 /**
- * Show typeahead suggestions
+ * Terminate the synthesis worker, failing anything still pending
  */
-function showSuggestions(query) {
-    if (!query || query.length < 2) {
-        suggestions.classList.remove('active');
-        return;
-    }
-    
-    const q = query.toLowerCase();
-    const matches = APP.allPhrases
-        .filter(p => p.toLowerCase().includes(q))
-        .slice(0, 8);
-    
-    if (matches.length === 0) {
-        suggestions.classList.remove('active');
-        return;
-    }
-    
-    suggestions.innerHTML = matches.map(text => {
-        const highlighted = text.replace(new RegExp(`(${query})`, 'gi'), '<mark>$1</mark>');
-        return `<div class="suggestion-item" data-text="${text}">${highlighted}</div>`;
-    }).join('');
-    
-    suggestions.classList.add('active');
+function stopTTSWorker() {
+    if (!APP.ttsWorker) return;
+    APP.ttsWorker.terminate();
+    APP.ttsWorker = null;
+    APP.tts = null;
+    rejectAllRequests(new Error('Voice engine stopped'));
 }
 
-function hideSuggestions() {
-    suggestions.classList.remove('active');
+/**
+ * Register a pending worker request
+ */
+function createWorkerRequest(onProgress) {
+    const id = APP.nextRequestId++;
+    const promise = new Promise((resolve, reject) => {
+        APP.ttsRequests.set(id, { resolve, reject, onProgress });
+    });
+    return { id, promise };
 }
 
 /**
- * Get current items based on path
+ * Route worker responses to their pending requests
  */
-function getCurrentItems() {
-    if (APP.currentPath.length === 0) {
-        return APP.phrases.phrases;
+function handleWorkerMessage(event) {
+    const msg = event.data;
+    const req = APP.ttsRequests.get(msg.id);
+    if (!req) return;  // Cancelled
+    
+    if (msg.type === 'progress') {
+        if (req.onProgress) req.onProgress(msg);
+        return;
+    }
+    
+    APP.ttsRequests.delete(msg.id);
+    if (msg.type === 'error') {
+        req.reject(new Error(msg.message));
+    } else {
+        req.resolve(msg);
     }
-    const groupName = APP.currentPath[APP.currentPath.length - 1];
-    const group = APP.phrases.groups[groupName];
-    return group ? group.phrases : [];
+    updateGeneratingState();
+}
+
+function rejectAllRequests(error) {
+    APP.ttsRequests.forEach(req => req.reject(error));
+    APP.ttsRequests.clear();
+    updateGeneratingState();
 }
 
 /**
- * Render breadcrumb
+ * Queue text for synthesis in the worker.
+ * Returns { id, promise } - the promise resolves to { samples, sampleRate, elapsed }.
  */
-function renderBreadcrumb() {
-    breadcrumb.innerHTML = '';
+function ttsGenerate({ text, sid = 0, speed = 1.0 }, onProgress) {
+    const request = createWorkerRequest(onProgress);
+    APP.ttsWorker.postMessage({ type: 'generate', id: request.id, text, sid, speed });
+    updateGeneratingState();
+    return request;
+}
+
+/**
+ * Cancel a queued or running generate request
+ */
+function ttsCancel(id) {
+    const req = APP.ttsRequests.get(id);
+    if (!req) return;
+    APP.ttsRequests.delete(id);
+    if (APP.ttsWorker) APP.ttsWorker.postMessage({ type: 'cancel', id });
+    req.reject(new DOMException('Generation cancelled', 'AbortError'));
+    updateGeneratingState();
+}
+
+function ttsCancelAll() {
+    [...APP.ttsRequests.keys()].forEach(ttsCancel);
+}
+
+/**
+ * Read the cache index (keys, sizes, last use) without loading any audio
+ */
+async function loadAudioCacheIndex() {
+    const readIndex = (indexName) => new Promise((resolve, reject) => {
+        const values = new Map();
+        const tx = APP.db.transaction(AUDIO_CACHE_STORE, 'readonly');
+        const request = tx.objectStore(AUDIO_CACHE_STORE).index(indexName).openKeyCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve(values);
+            values.set(cursor.primaryKey, cursor.key);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
     
-    const homeBtn = document.createElement('span');
-    homeBtn.className = 'breadcrumb-item';
-    homeBtn.textContent = '🏠';
-    homeBtn.onclick = () => { APP.currentPath = []; renderPhrases(); };
-    breadcrumb.appendChild(homeBtn);
+    const sizes = await readIndex('size');
+    const lastUsed = await readIndex('lastUsed');
+    APP.audioCache = new Map();
+    APP.audioCacheSize = 0;
+    sizes.forEach((size, key) => {
+        APP.audioCache.set(key, { size, lastUsed: lastUsed.get(key) || 0 });
+        APP.audioCacheSize += size;
+    });
+    console.log(`[Cache] ${APP.audioCache.size} clips, ${(APP.audioCacheSize / 1048576).toFixed(1)} MB`);
+}
+
+function audioCacheKey(text, sid, speed) {
+    return `${APP.voiceName}\n${sid}\n${speed.toFixed(3)}\n${text}`;
+}
+
+function readCachedAudio(key) {
+    return new Promise((resolve, reject) => {
+        const tx = APP.db.transaction(AUDIO_CACHE_STORE, 'readonly');
+        const request = tx.objectStore(AUDIO_CACHE_STORE).get(key);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Store generated audio, evicting the least recently used clips to stay under the size cap
+ */
+async function storeCachedAudio(key, audio) {
+    const limit = APP.settings.audioCacheMB * 1048576;
+    const size = audio.samples.byteLength;
+    if (size > limit) return;
     
-    APP.currentPath.forEach((name, i) => {
-        const sep = document.createElement('span');
-        sep.className = 'breadcrumb-sep';
-        sep.textContent = ' › ';
-        breadcrumb.appendChild(sep);
+    const record = {
+        key,
+        voice: APP.voiceName,
+        samples: audio.samples,
+        sampleRate: audio.sampleRate,
+        size,
+        lastUsed: Date.now()
+    };
+    await putRecords(AUDIO_CACHE_STORE, [record]);
+    if (!APP.audioCache.has(key)) APP.audioCacheSize += size;
+    APP.audioCache.set(key, { size, lastUsed: record.lastUsed });
+    await trimAudioCache();
+}
+
+/**
+ * Evict least recently used clips until the cache fits its size cap
+ */
+async function trimAudioCache() {
+    const limit = APP.settings.audioCacheMB * 1048576;
+    if (APP.audioCacheSize <= limit) return;
+    
+    const evicted = [];
+    const byAge = [...APP.audioCache].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [key, meta] of byAge) {
+        if (APP.audioCacheSize <= limit) break;
+        evicted.push(key);
+        APP.audioCache.delete(key);
+        APP.audioCacheSize -= meta.size;
+    }
+    await deleteRecords(AUDIO_CACHE_STORE, evicted);
+    console.log(`[Cache] Evicted ${evicted.length} clips`);
+}
+
+async function clearAudioCache() {
+    await putRecords(AUDIO_CACHE_STORE, [], { clear: true });
+    APP.audioCache = new Map();
+    APP.audioCacheSize = 0;
+}
+
+/**
+ * Generate speech, using the audio cache when possible.
+ * Same contract as ttsGenerate: returns { id, promise }, cancel with ttsCancel(id).
+ */
+function synthesize({ text, sid = 0, speed = 1.0 }, onProgress) {
+    if (!APP.db || APP.settings.audioCacheMB <= 0) return ttsGenerate({ text, sid, speed }, onProgress);
+    
+    const key = audioCacheKey(text, sid, speed);
+    const request = createWorkerRequest(onProgress);
+    updateGeneratingState();
+    
+    const generate = () => {
+        if (!APP.ttsRequests.has(request.id)) return;  // Cancelled while looking up
+        APP.ttsWorker.postMessage({ type: 'generate', id: request.id, text, sid, speed });
+        request.promise.then(audio => storeCachedAudio(key, audio)).catch(() => {});
+    };
+    
+    if (!APP.audioCache.has(key)) {
+        generate();
+        return request;
+    }
+    
+    readCachedAudio(key).then(record => {
+        const pending = APP.ttsRequests.get(request.id);
+        if (!pending) return;
+        if (!record) {
+            generate();
+            return;
+        }
         
-        const btn = document.createElement('span');
-        btn.className = 'breadcrumb-item';
-        btn.textContent = name;
-        btn.onclick = () => { APP.currentPath = APP.currentPath.slice(0, i + 1); renderPhrases(); };
-        breadcrumb.appendChild(btn);
+        APP.ttsRequests.delete(request.id);
+        pending.resolve({ samples: record.samples, sampleRate: record.sampleRate, elapsed: 0, cached: true });
+        updateGeneratingState();
+        
+        // Touch for LRU
+        record.lastUsed = Date.now();
+        APP.audioCache.set(key, { size: record.size, lastUsed: record.lastUsed });
+        putRecords(AUDIO_CACHE_STORE, [record]).catch(() => {});
+    }).catch(error => {
+        console.warn('[Cache] Lookup failed:', error);
+        generate();
     });
+    return request;
 }
 
 /**
- * Render phrase buttons
+ * Generate every phrase in the shown group in the background, one at a time and only while nothing
+ * is being spoken, so later taps play from the cache
  */
-function renderPhrases() {
-    renderBreadcrumb();
-    phraseGrid.innerHTML = '';
+async function prerenderBoard() {
+    const token = ++APP.prerenderToken;
+    if (!APP.tts || !APP.phrases || !APP.settings.prerenderBoard || APP.settings.audioCacheMB <= 0) return;
     
-    const items = getCurrentItems();
+    const voice = getSynthesisParams();
+    const parts = [];
+    getCurrentItems()
+        .filter(item => item.type === 'phrase')
+        .forEach(item => parts.push(...planUtterance(getSpeakText(item), voice).parts));
+    const missing = parts.filter(part => !APP.audioCache.has(audioCacheKey(part.text, voice.sid, part.speed)));
+    if (missing.length === 0) return;
     
-    items.forEach((item, idx) => {
-        const btn = document.createElement('button');
-        btn.className = 'phrase-btn' + (item.type === 'group' ? ' group' : '');
-        
-        // Apply custom color if set
-        if (item.color && item.color !== '#ffffff') {
-            btn.style.backgroundColor = item.color;
+    console.log(`[Cache] Pre-rendering ${missing.length} clips`);
+    for (const part of missing) {
+        // Let real speech go first
+        while (APP.currentUtterance || APP.speechQueue.length > 0) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+            if (token !== APP.prerenderToken) return;
         }
-        
-        if (item.type === 'group') {
-            btn.innerHTML = `<span class="text">${item.name}</span>`;
-            btn.onclick = () => { APP.currentPath.push(item.name); renderPhrases(); };
-        } else {
-            btn.innerHTML = `<span class="text">${item.text}</span>`;
-            
-            // Long press detection for phrases
-            setupLongPress(btn, item.text, idx, item.color, item.speakText);
+        if (token !== APP.prerenderToken) return;
+        if (APP.audioCache.has(audioCacheKey(part.text, voice.sid, part.speed))) continue;
+        try {
+            await synthesize({ text: part.text, sid: voice.sid, speed: part.speed }).promise;
+        } catch (error) {
+            if (error.name !== 'AbortError') console.warn('[Cache] Pre-render failed:', error);
+            return;
         }
+    }
+    console.log('[Cache] Pre-render done');
+}
+
+/**
+ * Keep isGenerating in step with the worker queue
+ */
+function updateGeneratingState() {
+    APP.isGenerating = APP.ttsRequests.size > 0;
+    updateSpeechStatus();
+}
+
+/**
+ * Fetch the shipped default board
+ */
+async function fetchDefaultBoard() {
+    const response = await fetch('default.json', { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { version, schemaVersion, ...board } = await response.json();
+    return { version: version || 0, board: migrateBoard(board, schemaVersion || 1) };
+}
+
+/**
+ * Turn a group name into an id ("Food/Drink" -> "food-drink")
+ */
+function slugify(name) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'group';
+}
+
+/**
+ * Fresh id for a group created in the app
+ */
+function newGroupId() {
+    return 'g-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Bring a saved board up to BOARD_SCHEMA_VERSION
+ */
+function migrateBoard(board, schemaVersion) {
+    if (!board) return board;
+    if (schemaVersion < 2) board = migrateBoardV1(board);
+    return board;
+}
+
+/**
+ * Schema 1 -> 2: groups keyed by display name become records with stable ids and a parent.
+ *
+ * v1: { phrases: [...], groups: { [name]: { phrases: [...] } } }, tiles { type: 'group', name }
+ * v2: { rootId, groups: { [id]: { id, name, parentId, color, icon, items: [...] } } }, tiles { type: 'group', id }
+ *
+ * Ids are slugs of the names, so the same v1 board always migrates to the same ids.
+ * Each v1 group is converted once; later links to it point at the same id, and links back
+ * to a group's own ancestors are dropped. Groups not reachable from home are added to home.
+ */
+function migrateBoardV1(board) {
+    const oldGroups = board.groups || {};
+    const groups = {};
+    const rootId = 'home';
+    const usedIds = new Set([rootId]);
+    const claimed = new Map();  // v1 name -> new id
+    
+    const uniqueId = (name) => {
+        const base = slugify(name);
+        let id = base;
+        for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+        usedIds.add(id);
+        return id;
+    };
+    
+    const convert = (id, name, parentId, oldItems, tile, ancestors) => {
+        const group = { id, name, parentId, icon: (tile && tile.icon) || null, items: [] };
+        if (tile && tile.color) group.color = tile.color;
+        groups[id] = group;
         
-        phraseGrid.appendChild(btn);
+        (oldItems || []).forEach(item => {
+            if (item.type !== 'group') {
+                group.items.push({ ...item });
+                return;
+            }
+            if (!oldGroups[item.name] || ancestors.includes(item.name)) return;
+            if (claimed.has(item.name)) {
+                const linkedId = claimed.get(item.name);
+                if (!group.items.some(it => it.type === 'group' && it.id === linkedId)) {
+                    group.items.push({ type: 'group', id: linkedId });
+                }
+                return;
+            }
+            const childId = uniqueId(item.name);
+            claimed.set(item.name, childId);
+            convert(childId, item.name, id, oldGroups[item.name].phrases, item, [...ancestors, item.name]);
+            group.items.push({ type: 'group', id: childId });
+        });
+    };
+    
+    convert(rootId, 'Home', null, board.phrases, null, []);
+    
+    // Keep groups nothing linked to rather than losing their phrases
+    Object.keys(oldGroups).forEach(name => {
+        if (claimed.has(name)) return;
+        const id = uniqueId(name);
+        claimed.set(name, id);
+        convert(id, name, rootId, oldGroups[name].phrases, null, [name]);
+        groups[rootId].items.push({ type: 'group', id });
     });
+    return { rootId, groups };
 }
 
 /**
- * Setup long press detection on a phrase button
+ * Key identifying a board item across default.json releases
  */
-function setupLongPress(btn, text, idx) {
-    let pressTimer = null;
-    let isLongPress = false;
+function boardItemKey(item) {
+    return item.type === 'group' ? `group:${item.id}` : `phrase:${item.text}`;
+}
+
+/**
+ * Merge a newer default board into the user's board.
+ * Only items that are new since `base` (the defaults the user's board was last merged with)
+ * are added, so edits, deletions and colors made by the user are left alone.
+ * Without a base (boards saved before versioning) there's no telling a new default from one the
+ * user deleted, so nothing is added; the caller records the current defaults as the base.
+ */
+function mergeDefaultBoard(board, base, defaults) {
+    const merged = structuredClone(board);
+    if (!base) return merged;
+    const baseGroups = base.groups;
     
-    const startPress = (e) => {
-        isLongPress = false;
-        btn.classList.add('long-pressing');
+    // Whole groups that are new in this release are copied as-is, parents first,
+    // as long as the group they belong in still exists
+    const freshGroups = new Set();
+    const queue = [defaults.rootId];
+    while (queue.length > 0) {
+        const group = defaults.groups[queue.shift()];
+        if (!group) continue;
+        group.items.forEach(item => {
+            if (item.type === 'group') queue.push(item.id);
+        });
+        if (merged.groups[group.id] || baseGroups[group.id]) continue;  // Kept, or deleted by user
+        if (!merged.groups[group.parentId]) continue;
+        merged.groups[group.id] = structuredClone(group);
+        freshGroups.add(group.id);
+    }
+    
+    Object.values(defaults.groups).forEach(group => {
+        if (freshGroups.has(group.id)) return;
+        const target = merged.groups[group.id] && merged.groups[group.id].items;
+        if (!target) return;
+        const baseItems = baseGroups[group.id] ? baseGroups[group.id].items : null;
+        const defaultItems = group.items;
         
-        pressTimer = setTimeout(() => {
-            isLongPress = true;
-            btn.classList.remove('long-pressing');
-            // Haptic feedback if available
-            if (navigator.vibrate) navigator.vibrate(50);
-            // Open edit modal
-            openEditModal(text, idx);
-        }, LONG_PRESS_DURATION);
-    };
+        defaultItems.forEach((item, idx) => {
+            const key = boardItemKey(item);
+            if (baseItems && baseItems.some(b => boardItemKey(b) === key)) return;  // Shipped before
+            if (target.some(t => boardItemKey(t) === key)) return;
+            if (item.type === 'group' && !freshGroups.has(item.id)) return;  // Lives elsewhere now
+            
+            // Place it after the nearest preceding default item the user still has
+            let insertAt = Math.min(idx, target.length);
+            for (let i = idx - 1; i >= 0; i--) {
+                const prevKey = boardItemKey(defaultItems[i]);
+                const pos = target.findIndex(t => boardItemKey(t) === prevKey);
+                if (pos !== -1) {
+                    insertAt = pos + 1;
+                    break;
+                }
+            }
+            target.splice(insertAt, 0, structuredClone(item));
+        });
+    });
+    
+    return merged;
+}
+
+/**
+ * Load phrases: the user's saved board first, reconciled with default.json when a newer one ships
+ */
+async function loadPhrases() {
+    let saved = null;
+    try {
+        saved = await loadPhrasesFromStorage();
+    } catch (error) {
+        console.warn('Failed to load saved phrases:', error);
+    }
     
-    const endPress = (e) => {
-        btn.classList.remove('long-pressing');
-        clearTimeout(pressTimer);
+    let defaults = null;
+    try {
+        defaults = await fetchDefaultBoard();
+    } catch (error) {
+        console.error('Failed to load default phrases:', error);
+    }
+    
+    if (saved) {
+        const schemaVersion = saved.schemaVersion || 1;
+        let changed = schemaVersion < BOARD_SCHEMA_VERSION;
+        if (changed) console.log(`[Prefs] Migrating phrase board v${schemaVersion} -> v${BOARD_SCHEMA_VERSION}`);
         
-        if (!isLongPress) {
-            // Regular click - append phrase
-            appendPhrase(text);
+        APP.phrases = migrateBoard(saved.data, schemaVersion);
+        const savedDefaults = migrateBoard(saved.defaults, schemaVersion);
+        APP.boardDefaults = savedDefaults
+            ? { version: saved.defaultsVersion || 0, board: savedDefaults }
+            : null;
+        
+        if (defaults && defaults.version > (saved.defaultsVersion || 0)) {
+            console.log(savedDefaults
+                ? `[Prefs] Merging default phrases v${saved.defaultsVersion || 0} -> v${defaults.version}`
+                : `[Prefs] Recording default phrases v${defaults.version} as the merge base`);
+            APP.phrases = mergeDefaultBoard(APP.phrases, savedDefaults, defaults.board);
+            APP.boardDefaults = defaults;
+            changed = true;
         }
-        isLongPress = false;
-    };
+        if (changed) savePhrasesToStorage();
+    } else if (defaults) {
+        APP.phrases = structuredClone(defaults.board);
+        APP.boardDefaults = defaults;
+    } else {
+        APP.phrases = {
+            rootId: 'home',
+            groups: { home: { id: 'home', name: 'Home', parentId: null, items: [{ type: 'phrase', text: 'Hello' }] } }
+        };
+    }
     
-    const cancelPress = () => {
-        btn.classList.remove('long-pressing');
-        clearTimeout(pressTimer);
-    };
+    APP.currentPath = [];
+    APP.allPhrases = getAllPhrases(APP.phrases);
+    rebuildBoardPredictions();
+    renderPhrases();
+    updatePredictions();
+}
+
+/**
+ * What a phrase button puts in the message bar
+ */
+function getInsertText(item) {
+    return item.insertText || item.text;
+}
+
+/**
+ * What a phrase button says
+ */
+function getSpeakText(item) {
+    return item.speakText || item.text;
+}
+
+/**
+ * Message text of every phrase on a board
+ */
+function getBoardPhrases(data) {
+    const phrases = [];
     
-    // Mouse events
-    btn.addEventListener('mousedown', startPress);
-    btn.addEventListener('mouseup', endPress);
-    btn.addEventListener('mouseleave', cancelPress);
+    Object.values(data.groups).forEach(group => {
+        group.items.forEach(item => {
+            if (item.type === 'phrase') phrases.push(getInsertText(item));
+        });
+    });
+    return [...new Set(phrases)];
+}
+
+/**
+ * Get all phrases for typeahead: the board plus spoken history
+ */
+function getAllPhrases(data) {
+    return [...new Set([...getBoardPhrases(data), ...APP.history.map(entry => entry.text)])];
+}
+
+const SUGGESTION_LIMIT = 8;
+
+/**
+ * Edit distance allowing adjacent transpositions (optimal string alignment)
+ */
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+function isSubsequence(needle, haystack) {
+    let i = 0;
+    for (const ch of haystack) {
+        if (ch === needle[i]) i++;
+        if (i === needle.length) return true;
+    }
+    return false;
+}
+
+/**
+ * Best match of one typed word against the words of a phrase.
+ * Word-start matches beat matches inside a word, which beat typo and missing-letter matches.
+ */
+function matchQueryWord(queryWord, phraseWords) {
+    let best = null;
+    const consider = (score, start, end) => {
+        if (!best || score > best.score) best = { score, start, end };
+    };
     
-    // Touch events
-    btn.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        startPress(e);
+    phraseWords.forEach(({ word, start }) => {
+        if (word.startsWith(queryWord)) {
+            consider(3, start, start + queryWord.length);
+            return;
+        }
+        const inside = word.indexOf(queryWord);
+        if (inside > 0 && queryWord.length >= 2) {
+            consider(1.5, start + inside, start + inside + queryWord.length);
+            return;
+        }
+        if (queryWord.length < 3) return;
+        
+        // Typos: compare against word prefixes of about the same length
+        const allowed = queryWord.length <= 4 ? 1 : 2;
+        for (let len = queryWord.length - 1; len <= queryWord.length + 1; len++) {
+            if (len < 1 || len > word.length) continue;
+            const dist = editDistance(queryWord, word.slice(0, len));
+            if (dist <= allowed) consider(2 - dist * 0.5, start, start + len);
+        }
+        // Missing letters ("thnk" -> "thank")
+        if (queryWord[0] === word[0] && isSubsequence(queryWord, word)) {
+            consider(1, start, start + word.length);
+        }
     });
-    btn.addEventListener('touchend', endPress);
-    btn.addEventListener('touchcancel', cancelPress);
+    return best;
 }
 
-// Color picker state
-let selectedColor = '#ffffff';
-const colorPicker = document.getElementById('colorPicker');
+/**
+ * Score a phrase against the query, with the ranges to highlight. Null if it doesn't match.
+ */
+function scoreSuggestion(query, text) {
+    const lower = text.toLowerCase();
+    const phraseWords = [...lower.matchAll(WORD_PATTERN)].map(m => ({ word: m[0], start: m.index }));
+    const queryWords = query.toLowerCase().match(WORD_PATTERN) || [];
+    if (queryWords.length === 0) return null;
+    
+    let score = 0;
+    const ranges = [];
+    for (const queryWord of queryWords) {
+        const match = matchQueryWord(queryWord, phraseWords);
+        if (!match) return null;
+        score += match.score;
+        ranges.push([match.start, match.end]);
+    }
+    if (lower.startsWith(query.toLowerCase())) score += 3;
+    
+    // Phrases the user says often and recently come first
+    const usage = APP.historyByText.get(text);
+    if (usage) {
+        const ageDays = (Date.now() - usage.lastUsed) / 86400000;
+        score += Math.log1p(usage.count) + 2 / (1 + ageDays);
+    }
+    return { score, ranges };
+}
 
-// Setup color picker buttons
-colorPicker.querySelectorAll('.color-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-        colorPicker.querySelectorAll('.color-btn').forEach(b => b.classList.remove('selected'));
-        btn.classList.add('selected');
-        selectedColor = btn.dataset.color;
+/**
+ * Text with the matched ranges wrapped in <mark>, built without innerHTML
+ */
+function highlightRanges(container, text, ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    let pos = 0;
+    sorted.forEach(([start, end]) => {
+        start = Math.max(start, pos);
+        if (end <= start) return;
+        if (start > pos) container.append(text.slice(pos, start));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        container.appendChild(mark);
+        pos = end;
     });
-});
+    if (pos < text.length) container.append(text.slice(pos));
+}
 
 /**
- * Open edit modal for a phrase
+ * Show typeahead suggestions
  */
-function openEditModal(text, idx, color, speakText) {
-    editingPhraseIndex = idx;
-    editingGroupPath = [...APP.currentPath];
-    editPhraseText.value = text;
-    editSpeakText.value = speakText || '';
+function showSuggestions(query) {
+    suggestionIndex = -1;
+    if (!query || query.length < 2) {
+        hideSuggestions();
+        return;
+    }
     
-    // Set selected color
-    selectedColor = color || '#ffffff';
-    colorPicker.querySelectorAll('.color-btn').forEach(btn => {
-        btn.classList.toggle('selected', btn.dataset.color === selectedColor);
+    const matches = APP.allPhrases
+        .map(text => ({ text, match: scoreSuggestion(query, text) }))
+        .filter(m => m.match && m.text.toLowerCase() !== query.toLowerCase())
+        .sort((a, b) => b.match.score - a.match.score)
+        .slice(0, SUGGESTION_LIMIT);
+    
+    if (matches.length === 0) {
+        hideSuggestions();
+        return;
+    }
+    
+    suggestions.innerHTML = '';
+    matches.forEach(({ text, match }, idx) => {
+        const item = document.createElement('div');
+        item.className = 'suggestion-item';
+        item.id = `suggestion-${idx}`;
+        item.setAttribute('role', 'option');
+        item.dataset.text = text;
+        highlightRanges(item, text, match.ranges);
+        suggestions.appendChild(item);
     });
     
-    editModal.classList.remove('hidden');
-    editPhraseText.focus();
+    suggestions.classList.add('active');
+    textInput.setAttribute('aria-expanded', 'true');
+}
+
+function hideSuggestions() {
+    suggestions.classList.remove('active');
+    textInput.setAttribute('aria-expanded', 'false');
+    textInput.removeAttribute('aria-activedescendant');
+    suggestionIndex = -1;
+}
+
+/**
+ * Move the keyboard highlight through the suggestion list
+ */
+function moveSuggestion(delta) {
+    const items = suggestions.querySelectorAll('.suggestion-item');
+    if (items.length === 0) return;
+    suggestionIndex = (suggestionIndex + delta + items.length) % items.length;
+    items.forEach((item, idx) => {
+        const selected = idx === suggestionIndex;
+        item.classList.toggle('selected', selected);
+        item.setAttribute('aria-selected', selected ? 'true' : 'false');
+        if (selected) {
+            item.scrollIntoView({ block: 'nearest' });
+            textInput.setAttribute('aria-activedescendant', item.id);
+        }
+    });
+}
+
+/**
+ * Put a suggestion in the message bar
+ */
+function chooseSuggestion(text) {
+    // For suggestions, replace since user was typing
+    textInput.value = text;
+    hideSuggestions();
+    updatePredictions();
+    // Don't auto-speak for suggestions - user may want to keep building
+}
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+const PARTIAL_WORD = /[\p{L}\p{N}'’]+$/u;
+const PREDICTION_LIMIT = 8;
+const LEARNED_WEIGHT = 2;  // Words the user actually said count more than board phrases
+const LEARNED_MAX_NGRAMS = 20000;  // Rarest n-grams from history are dropped beyond this
+
+/**
+ * Empty n-gram model. counts maps a context ('' for unigrams, one word for bigrams,
+ * two words for trigrams, '<s>' marking a sentence start) to a Map of next word -> count.
+ */
+function createNgramModel() {
+    return { counts: new Map(), totals: new Map(), forms: new Map(), size: 0 };
+}
+
+/**
+ * Split text into sentences of words
+ */
+function tokenizeSentences(text) {
+    return text
+        .split(/[.!?\n]+/)
+        .map(sentence => sentence.match(WORD_PATTERN) || [])
+        .filter(words => words.length > 0);
+}
+
+function bumpNgram(model, context, word, weight) {
+    let next = model.counts.get(context);
+    if (!next) {
+        next = new Map();
+        model.counts.set(context, next);
+    }
+    if (!next.has(word)) model.size++;
+    next.set(word, (next.get(word) || 0) + weight);
+    model.totals.set(context, (model.totals.get(context) || 0) + weight);
+}
+
+/**
+ * Count the unigrams, bigrams and trigrams in text
+ */
+function addToNgramModel(model, text, weight = 1) {
+    tokenizeSentences(text).forEach(words => {
+        const tokens = ['<s>', ...words.map(w => w.toLowerCase())];
+        for (let i = 1; i < tokens.length; i++) {
+            const word = tokens[i];
+            // Remember how the word is written mid-sentence (names, "I")
+            if (i > 1 || words[0] === 'I') model.forms.set(word, words[i - 1]);
+            bumpNgram(model, '', word, weight);
+            bumpNgram(model, tokens[i - 1], word, weight);
+            if (i >= 2) bumpNgram(model, `${tokens[i - 2]} ${tokens[i - 1]}`, word, weight);
+        }
+    });
+}
+
+/**
+ * Keep a model to its `limit` most frequent n-grams, dropping the rarest first
+ */
+function pruneNgramModel(model, limit) {
+    if (model.size <= limit) return;
+    const entries = [];
+    model.counts.forEach((next, context) => next.forEach((count, word) => entries.push([count, context, word])));
+    entries.sort((a, b) => a[0] - b[0]);
+    entries.slice(0, entries.length - limit).forEach(([count, context, word]) => {
+        const next = model.counts.get(context);
+        next.delete(word);
+        if (next.size === 0) {
+            model.counts.delete(context);
+            model.totals.delete(context);
+        } else {
+            model.totals.set(context, model.totals.get(context) - count);
+        }
+    });
+    model.size = limit;
+    const known = model.counts.get('') || new Map();
+    model.forms.forEach((form, word) => {
+        if (!known.has(word)) model.forms.delete(word);
+    });
+}
+
+/**
+ * Build the board part of the model from every phrase on the board.
+ * Spoken history is learned separately (APP.prediction.learned), so it isn't counted here.
+ */
+function rebuildBoardPredictions() {
+    const model = createNgramModel();
+    getBoardPhrases(APP.phrases).forEach(text => addToNgramModel(model, text));
+    APP.prediction.board = model;
+}
+
+/**
+ * Build the learned part of the model from spoken history, each entry counted as often as it
+ * was said. History is the only record, so deleting or expiring an entry unlearns it.
+ */
+function rebuildLearnedPredictions() {
+    const model = createNgramModel();
+    APP.history.forEach(entry => addToNgramModel(model, entry.text, entry.count || 1));
+    pruneNgramModel(model, LEARNED_MAX_NGRAMS);
+    APP.prediction.learned = model;
+}
+
+/**
+ * Learn from the history loaded at startup. Earlier versions saved the learned model
+ * as a pref; it's rebuilt from history now, so that copy is removed.
+ */
+async function loadPredictionModel() {
+    rebuildLearnedPredictions();
+    if (!APP.db) return;
+    try {
+        await deletePref('predictionModel');
+    } catch (error) {
+        console.warn('[Prefs] Failed to remove saved prediction model:', error);
+    }
+}
+
+/**
+ * Learn from something the user said. Pruning waits for some slack so it doesn't run every time.
+ */
+function learnPrediction(text) {
+    if (!APP.prediction.learned) return;
+    addToNgramModel(APP.prediction.learned, text);
+    if (APP.prediction.learned.size > LEARNED_MAX_NGRAMS * 1.25) {
+        pruneNgramModel(APP.prediction.learned, LEARNED_MAX_NGRAMS);
+    }
+}
+
+/**
+ * Predict the next word, or complete the word being typed, from the text before the cursor.
+ * Scores use stupid backoff: trigram, then bigram (×0.4), then unigram (×0.16).
+ */
+function predictWords(textBeforeCursor, limit = PREDICTION_LIMIT) {
+    const partial = PARTIAL_WORD.exec(textBeforeCursor);
+    const prefix = partial ? partial[0].toLowerCase() : '';
+    const before = partial ? textBeforeCursor.slice(0, -partial[0].length) : textBeforeCursor;
+    const sentence = before.split(/[.!?\n]/).pop();
+    const words = (sentence.match(WORD_PATTERN) || []).map(w => w.toLowerCase());
+    const atSentenceStart = words.length === 0;
+    
+    const contexts = [];
+    const tokens = ['<s>', ...words];
+    if (tokens.length >= 2) contexts.push([`${tokens[tokens.length - 2]} ${tokens[tokens.length - 1]}`, 1]);
+    contexts.push([tokens[tokens.length - 1], 0.4]);
+    contexts.push(['', 0.16]);
+    
+    const models = [[APP.prediction.board, 1], [APP.prediction.learned, LEARNED_WEIGHT]];
+    const scores = new Map();
+    contexts.forEach(([context, factor]) => {
+        models.forEach(([model, weight]) => {
+            const next = model && model.counts.get(context);
+            if (!next) return;
+            const total = model.totals.get(context);
+            next.forEach((count, word) => {
+                if (prefix && (word === prefix || !word.startsWith(prefix))) return;
+                scores.set(word, (scores.get(word) || 0) + factor * weight * count / total);
+            });
+        });
+    });
+    
+    return [...scores]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([word]) => {
+            const form = (APP.prediction.learned && APP.prediction.learned.forms.get(word)) ||
+                (APP.prediction.board && APP.prediction.board.forms.get(word)) || word;
+            return atSentenceStart ? form.charAt(0).toUpperCase() + form.slice(1) : form;
+        });
+}
+
+/**
+ * Redraw the prediction strip for the cursor position
+ */
+function updatePredictions() {
+    predictionBar.innerHTML = '';
+    const enabled = APP.settings && APP.settings.wordPrediction && APP.tts;
+    predictionBar.classList.toggle('hidden', !enabled);
+    if (!enabled) return;
+    
+    const cursor = textInput.selectionStart ?? textInput.value.length;
+    predictWords(textInput.value.slice(0, cursor)).forEach(word => {
+        const btn = document.createElement('button');
+        btn.className = 'prediction-btn';
+        btn.textContent = word;
+        // Keep focus (and the cursor) in the message bar
+        btn.addEventListener('mousedown', (e) => e.preventDefault());
+        btn.onclick = () => insertPrediction(word);
+        predictionBar.appendChild(btn);
+    });
+}
+
+/**
+ * Insert a predicted word at the cursor, replacing the partly typed word
+ */
+function insertPrediction(word) {
+    const value = textInput.value;
+    const start = textInput.selectionStart ?? value.length;
+    const end = textInput.selectionEnd ?? start;
+    let before = value.slice(0, start);
+    const after = value.slice(end);
+    
+    const partial = PARTIAL_WORD.exec(before);
+    if (partial) {
+        before = before.slice(0, -partial[0].length);
+    } else if (before && !/\s$/.test(before)) {
+        before += ' ';
+    }
+    
+    const insert = word + (after.startsWith(' ') ? '' : ' ');
+    textInput.value = before + insert + after;
+    const cursor = before.length + insert.length;
+    textInput.setSelectionRange(cursor, cursor);
+    
+    textInput.style.height = 'auto';
+    textInput.style.height = Math.min(textInput.scrollHeight, 100) + 'px';
+    hideSuggestions();
+    updatePredictions();
+}
+
+/**
+ * Get a group record (null/undefined id for the home board)
+ */
+function getGroup(groupId) {
+    return APP.phrases.groups[groupId || APP.phrases.rootId] || null;
+}
+
+/**
+ * Get the items of a group (null for the home board)
+ */
+function getGroupItems(groupId) {
+    const group = getGroup(groupId);
+    return group ? group.items : null;
+}
+
+/**
+ * Id of the group being shown
+ */
+function getCurrentGroupId() {
+    return APP.currentPath[APP.currentPath.length - 1] || APP.phrases.rootId;
+}
+
+/**
+ * Get current items based on path
+ */
+function getCurrentItems() {
+    return getGroupItems(getCurrentGroupId()) || [];
+}
+
+/**
+ * Group ids from the home board down to a group (excluding home)
+ */
+function getGroupPath(groupId) {
+    const path = [];
+    let group = getGroup(groupId);
+    while (group && group.id !== APP.phrases.rootId && !path.includes(group.id)) {
+        path.unshift(group.id);
+        group = getGroup(group.parentId);
+    }
+    return path;
+}
+
+/**
+ * Recompute derived data, redraw and persist after the board changed
+ */
+function commitBoardChange() {
+    APP.currentPath = APP.currentPath.filter(id => APP.phrases.groups[id]);
+    APP.allPhrases = getAllPhrases(APP.phrases);
+    rebuildBoardPredictions();
+    renderPhrases();
+    savePhrasesToStorage();
+    pruneSymbolImages().catch(error => console.warn('[Symbols] Prune failed:', error));
+}
+
+/**
+ * Render breadcrumb
+ */
+function renderBreadcrumb() {
+    breadcrumb.innerHTML = '';
+    
+    const homeBtn = document.createElement('span');
+    homeBtn.className = 'breadcrumb-item';
+    homeBtn.textContent = '🏠';
+    homeBtn.dataset.group = APP.phrases.rootId;
+    homeBtn.onclick = () => { APP.currentPath = []; renderPhrases(); };
+    breadcrumb.appendChild(homeBtn);
+    
+    APP.currentPath.forEach((groupId, i) => {
+        const sep = document.createElement('span');
+        sep.className = 'breadcrumb-sep';
+        sep.textContent = ' › ';
+        breadcrumb.appendChild(sep);
+        
+        const btn = document.createElement('span');
+        btn.className = 'breadcrumb-item';
+        btn.textContent = getGroup(groupId).name;
+        btn.dataset.group = groupId;
+        btn.onclick = () => { APP.currentPath = APP.currentPath.slice(0, i + 1); renderPhrases(); };
+        breadcrumb.appendChild(btn);
+    });
+}
+
+/**
+ * Render phrase buttons
+ */
+function renderPhrases() {
+    renderBreadcrumb();
+    phraseGrid.innerHTML = '';
+    phraseGrid.classList.toggle('editing', APP.editMode);
+    phraseGrid.dataset.symbolLabel = APP.settings.symbolLabel;
+    
+    const items = getCurrentItems();
+    const layout = getGroupLayout(getGroup(getCurrentGroupId()));
+    const fixed = Boolean(layout && layout.fixed);
+    applyGridLayout(layout);
+    if (fixed) assignCells(getGroup(getCurrentGroupId()));
+    
+    items.forEach((item, idx) => {
+        const group = item.type === 'group' ? getGroup(item.id) : null;
+        if (item.type === 'group' && !group) return;
+        
+        const btn = document.createElement('button');
+        btn.className = 'phrase-btn' + (group ? ' group' : '');
+        btn.dataset.index = idx;
+        if (fixed) placeInCell(btn, item.cell, layout.columns);
+        
+        // Apply custom (or word class) color if set
+        const color = getButtonColor(item, group);
+        if (color && color !== '#ffffff') {
+            btn.classList.add('colored');
+            btn.style.setProperty('--btn-color', color);
+        }
+        
+        const label = document.createElement('span');
+        label.className = 'text';
+        btn.appendChild(label);
+        renderSymbol(btn, group ? group.icon : item.icon);
+        btn.setAttribute('aria-label', group ? group.name : item.text);
+        
+        if (group) {
+            label.textContent = group.name;
+            btn.dataset.group = group.id;
+            const openGroup = () => {
+                if (dragJustEnded) return;
+                APP.currentPath.push(group.id);
+                renderPhrases();
+            };
+            if (APP.editMode) {
+                btn.onclick = openGroup;
+            } else {
+                setupPress(btn, openGroup, null);
+            }
+            
+            if (APP.editMode) {
+                const editBtn = document.createElement('span');
+                editBtn.className = 'group-edit-btn';
+                editBtn.textContent = '✎';
+                editBtn.title = 'Edit group';
+                editBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    openGroupModal(group.id);
+                };
+                btn.appendChild(editBtn);
+            }
+        } else {
+            label.textContent = item.text;
+            
+            if (APP.editMode) {
+                btn.onclick = () => {
+                    if (!dragJustEnded) openEditModal(item, items);
+                };
+            } else {
+                // Long press detection for phrases
+                setupLongPress(btn, item, items);
+            }
+        }
+        
+        if (APP.editMode) setupDrag(btn, item, items);
+        phraseGrid.appendChild(btn);
+    });
+    
+    if (APP.editMode) {
+        const tiles = [
+            createAddTile('+ Phrase', () => openEditModal(null, items)),
+            createAddTile('+ Group', () => openGroupModal(null)),
+            createAddTile('▦ Layout', openLayoutModal)
+        ];
+        if (fixed) {
+            // Show the empty cells as drop targets, and keep the add tiles below the grid
+            const rows = Math.max(layout.rows || 0, ...items.map(item => Math.floor(item.cell / layout.columns) + 1));
+            const taken = new Set(items.map(item => item.cell));
+            for (let cell = 0; cell < rows * layout.columns; cell++) {
+                if (taken.has(cell)) continue;
+                const empty = document.createElement('div');
+                empty.className = 'phrase-btn empty-cell';
+                empty.dataset.cell = cell;
+                placeInCell(empty, cell, layout.columns);
+                phraseGrid.appendChild(empty);
+            }
+            tiles.forEach(tile => { tile.style.gridRow = rows + 1; });
+        }
+        tiles.forEach(tile => phraseGrid.appendChild(tile));
+    } else {
+        prerenderBoard();
+    }
+}
+
+/**
+ * Edit mode tile for adding a phrase or group
+ */
+function createAddTile(text, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'phrase-btn add-tile';
+    btn.textContent = text;
+    btn.onclick = onClick;
+    return btn;
+}
+
+/**
+ * Trigger a button's action without a pointer, e.g. from switch scanning
+ */
+function activateButton(el) {
+    const action = pressActions.get(el);
+    if (action) {
+        action();
+    } else {
+        el.click();
+    }
+}
+
+/**
+ * Setup long press detection on a phrase button
+ */
+function setupLongPress(btn, item, items) {
+    setupPress(btn, () => appendPhrase(item), () => openEditModal(item, items));
+}
+
+const TOUCH_MOVE_TOLERANCE = 12;  // px a press may drift before the touch guard treats it as a swipe
+let lastPressActivation = 0;
+
+/**
+ * Repeat-ignore window shared by taps, scanning and dwell: false if the last activation
+ * was too recent, otherwise records this one
+ */
+function acceptActivation() {
+    const now = performance.now();
+    if (now - lastPressActivation < APP.settings.tapRepeatIgnore) {
+        console.log('[Access] Ignored repeat activation');
+        return false;
+    }
+    lastPressActivation = now;
+    return true;
+}
+
+/**
+ * Press handling with the motor-access settings applied: minimum hold, activate on press or
+ * release, repeat-ignore window, and the touch guard against swipes and multi-finger touches.
+ * onLongPress (optional) runs when the button is held, if long-press editing is enabled
+ * and buttons activate on release (when activating on press, holding would do both).
+ * Keyboard clicks (Enter/Space on a focused button) activate too.
+ */
+function setupPress(btn, onActivate, onLongPress) {
+    let holdTimer = null;
+    let longPressTimer = null;
+    let pressing = false;
+    let activated = false;
+    let isLongPress = false;
+    let startTime = 0;
+    let startX = 0;
+    let startY = 0;
+    
+    const activate = () => {
+        if (activated) return;
+        activated = true;
+        if (acceptActivation()) onActivate();
+    };
+    
+    const startPress = (x, y) => {
+        pressing = true;
+        activated = false;
+        isLongPress = false;
+        startTime = performance.now();
+        startX = x;
+        startY = y;
+        
+        if (APP.settings.tapActivateOn === 'press') {
+            btn.classList.add('pressing');
+            holdTimer = setTimeout(() => {
+                btn.classList.remove('pressing');
+                activate();
+            }, APP.settings.tapMinHold);
+        } else if (APP.settings.tapMinHold > 0) {
+            btn.classList.add('pressing');
+            holdTimer = setTimeout(() => btn.classList.remove('pressing'), APP.settings.tapMinHold);
+        }
+        
+        if (!onLongPress || !APP.settings.longPressEdit || APP.settings.tapActivateOn === 'press') return;
+        btn.classList.add('long-pressing');
+        longPressTimer = setTimeout(() => {
+            isLongPress = true;
+            btn.classList.remove('long-pressing');
+            // Haptic feedback if available
+            if (navigator.vibrate) navigator.vibrate(50);
+            onLongPress();
+        }, APP.settings.tapMinHold + LONG_PRESS_DURATION);
+    };
+    
+    const cancelPress = () => {
+        pressing = false;
+        btn.classList.remove('long-pressing', 'pressing');
+        clearTimeout(holdTimer);
+        clearTimeout(longPressTimer);
+    };
+    
+    const endPress = () => {
+        if (!pressing) return;
+        const held = performance.now() - startTime;
+        cancelPress();
+        
+        if (isLongPress || APP.settings.tapActivateOn === 'press') return;
+        if (held < APP.settings.tapMinHold) {
+            console.log(`[Access] Ignored ${Math.round(held)}ms tap (minimum ${APP.settings.tapMinHold}ms)`);
+            return;
+        }
+        activate();
+    };
+    
+    // A press that drifts is a swipe or a brush across the grid, not a tap
+    const movePress = (x, y) => {
+        if (!pressing || !APP.settings.touchGuard) return;
+        if (Math.hypot(x - startX, y - startY) > TOUCH_MOVE_TOLERANCE) cancelPress();
+    };
+    
+    pressActions.set(btn, onActivate);
+    
+    // Keyboard activation arrives as a click with no pointer behind it
+    btn.addEventListener('click', (e) => {
+        if (e.detail !== 0) return;
+        activated = false;
+        activate();
+    });
+    
+    // Mouse events
+    btn.addEventListener('mousedown', (e) => startPress(e.clientX, e.clientY));
+    btn.addEventListener('mousemove', (e) => movePress(e.clientX, e.clientY));
+    btn.addEventListener('mouseup', endPress);
+    btn.addEventListener('mouseleave', cancelPress);
+    
+    // Touch events
+    btn.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        if (APP.settings.touchGuard && e.touches.length > 1) {
+            cancelPress();
+            return;
+        }
+        startPress(e.touches[0].clientX, e.touches[0].clientY);
+    });
+    btn.addEventListener('touchmove', (e) => {
+        if (APP.settings.touchGuard && e.touches.length > 1) {
+            cancelPress();
+            return;
+        }
+        movePress(e.touches[0].clientX, e.touches[0].clientY);
+    });
+    btn.addEventListener('touchend', (e) => {
+        // Lifting one finger of several doesn't count as a tap
+        if (APP.settings.touchGuard && e.touches.length > 0) {
+            cancelPress();
+            return;
+        }
+        endPress();
+    });
+    btn.addEventListener('touchcancel', cancelPress);
+}
+
+/**
+ * Drag-and-drop in edit mode: drop on the left/right half of a tile to reorder,
+ * on the middle of a group tile or on a breadcrumb to move the item into that group.
+ * Uses pointer events so it works with touch and mouse.
+ */
+function setupDrag(btn, item, items) {
+    btn.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || e.target.closest('.group-edit-btn')) return;
+        const startX = e.clientX;
+        const startY = e.clientY;
+        let dragging = false;
+        let target = null;
+        
+        const onMove = (ev) => {
+            if (!dragging) {
+                if (Math.hypot(ev.clientX - startX, ev.clientY - startY) < 8) return;
+                dragging = true;
+                btn.classList.add('dragging');
+            }
+            clearDropTarget(target);
+            target = findDropTarget(ev.clientX, ev.clientY, btn);
+            if (target) target.el.classList.add('drop-' + target.mode);
+        };
+        
+        const onUp = (ev) => {
+            window.removeEventListener('pointermove', onMove);
+            window.removeEventListener('pointerup', onUp);
+            window.removeEventListener('pointercancel', onUp);
+            if (!dragging) return;
+            
+            btn.classList.remove('dragging');
+            clearDropTarget(target);
+            // Swallow the click that follows the drag
+            dragJustEnded = true;
+            setTimeout(() => { dragJustEnded = false; }, 0);
+            if (target && ev.type === 'pointerup') dropItem(item, items, target);
+        };
+        
+        window.addEventListener('pointermove', onMove);
+        window.addEventListener('pointerup', onUp);
+        window.addEventListener('pointercancel', onUp);
+    });
+}
+
+function findDropTarget(x, y, dragged) {
+    const el = document.elementFromPoint(x, y);
+    const tile = el && el.closest('.phrase-btn[data-index], .phrase-btn[data-cell], .breadcrumb-item[data-group]');
+    if (!tile || tile === dragged) return null;
+    
+    if (tile.classList.contains('breadcrumb-item')) {
+        return { el: tile, mode: 'into', group: tile.dataset.group };
+    }
+    if (tile.dataset.cell !== undefined) {
+        return { el: tile, mode: 'cell', cell: Number(tile.dataset.cell) };
+    }
+    
+    const rect = tile.getBoundingClientRect();
+    const rel = (x - rect.left) / rect.width;
+    if (tile.dataset.group !== undefined && rel > 0.25 && rel < 0.75) {
+        return { el: tile, mode: 'into', group: tile.dataset.group };
+    }
+    // In a fixed layout buttons trade places instead of shifting the rest
+    if (phraseGrid.classList.contains('fixed')) {
+        return { el: tile, mode: 'swap', index: Number(tile.dataset.index) };
+    }
+    return { el: tile, mode: rel < 0.5 ? 'before' : 'after', index: Number(tile.dataset.index) };
+}
+
+function clearDropTarget(target) {
+    if (target) target.el.classList.remove('drop-' + target.mode);
+}
+
+function dropItem(item, items, target) {
+    if (target.mode === 'into') {
+        if (!moveItemToGroup(item, items, target.group)) return;
+    } else if (target.mode === 'cell') {
+        item.cell = target.cell;
+    } else if (target.mode === 'swap') {
+        const other = items[target.index];
+        [item.cell, other.cell] = [other.cell, item.cell];
+    } else {
+        const from = items.indexOf(item);
+        let to = target.index + (target.mode === 'after' ? 1 : 0);
+        if (from === -1) return;
+        items.splice(from, 1);
+        if (from < to) to--;
+        items.splice(to, 0, item);
+    }
+    commitBoardChange();
+}
+
+/**
+ * Check whether a group is inside another (or is that group)
+ */
+function isGroupInside(groupId, ancestorId) {
+    return groupId === ancestorId || getGroupPath(groupId).includes(ancestorId);
+}
+
+/**
+ * Move an item from one list to the end of a group (null for home)
+ */
+function moveItemToGroup(item, fromItems, groupId) {
+    const toGroup = getGroup(groupId);
+    if (!toGroup || toGroup.items === fromItems) return false;
+    
+    if (item.type === 'group' && isGroupInside(toGroup.id, item.id)) {
+        alert(`Can't move "${getGroup(item.id).name}" into itself`);
+        return false;
+    }
+    
+    const idx = fromItems.indexOf(item);
+    if (idx === -1) return false;
+    fromItems.splice(idx, 1);
+    delete item.cell;  // Takes the first free cell if the new group has a fixed layout
+    toGroup.items.push(item);
+    if (item.type === 'group') getGroup(item.id).parentId = toGroup.id;
+    return true;
+}
+
+/**
+ * Delete a group with everything inside it, and its tile in the parent
+ */
+function deleteGroup(groupId) {
+    const group = getGroup(groupId);
+    if (!group || group.id === APP.phrases.rootId) return;
+    
+    const parent = getGroup(group.parentId);
+    if (parent) {
+        parent.items = parent.items.filter(it => !(it.type === 'group' && it.id === group.id));
+    }
+    
+    const remove = (g) => {
+        delete APP.phrases.groups[g.id];
+        g.items.forEach(it => {
+            if (it.type === 'group' && APP.phrases.groups[it.id]) remove(APP.phrases.groups[it.id]);
+        });
+    };
+    remove(group);
+}
+
+/**
+ * Wire up a color picker; onSelect gets the chosen color
+ */
+function setupColorPicker(picker, onSelect) {
+    picker.querySelectorAll('.color-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            showSelectedColor(picker, btn.dataset.color);
+            onSelect(btn.dataset.color);
+        });
+    });
+}
+
+function showSelectedColor(picker, color) {
+    picker.querySelectorAll('.color-btn').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.color === color);
+    });
+}
+
+// Color picker state
+let selectedColor = '#ffffff';
+let selectedGroupColor = '#e0e0e0';
+const colorPicker = document.getElementById('colorPicker');
+const groupColorPicker = document.getElementById('groupColorPicker');
+
+setupColorPicker(colorPicker, color => { selectedColor = color; });
+setupColorPicker(groupColorPicker, color => { selectedGroupColor = color; });
+
+const SYMBOL_IMAGE_SIZE = 256;  // px; pictures are scaled down to fit before they're stored
+
+function isImageIcon(icon) {
+    return typeof icon === 'string' && icon.startsWith('image:');
+}
+
+function newImageId() {
+    return 'img-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Object URL for a stored symbol picture (cached for the session)
+ */
+async function getSymbolUrl(id) {
+    if (APP.symbolUrls.has(id)) return APP.symbolUrls.get(id);
+    if (!APP.db) return null;
+    const record = await new Promise((resolve, reject) => {
+        const tx = APP.db.transaction(IMAGE_STORE, 'readonly');
+        const request = tx.objectStore(IMAGE_STORE).get(id);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+    if (!record) return null;
+    const url = URL.createObjectURL(record.blob);
+    APP.symbolUrls.set(id, url);
+    return url;
+}
+
+/**
+ * Scale a picked picture down and store it. Returns the icon value for a button.
+ */
+async function saveSymbolImage(file) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, SYMBOL_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    const id = newImageId();
+    await putRecords(IMAGE_STORE, [{ id, blob, createdAt: Date.now() }]);
+    return `image:${id}`;
+}
+
+/**
+ * Picture ids used by a board
+ */
+function collectImageIds(board) {
+    const ids = new Set();
+    const add = (icon) => { if (isImageIcon(icon)) ids.add(icon.slice(6)); };
+    Object.values(board.groups).forEach(group => {
+        add(group.icon);
+        group.items.forEach(item => add(item.icon));
+    });
+    return ids;
+}
+
+/**
+ * Delete stored pictures no button uses any more
+ */
+async function pruneSymbolImages() {
+    if (!APP.db || !APP.phrases) return;
+    const used = collectImageIds(APP.phrases);
+    const stored = await new Promise((resolve, reject) => {
+        const tx = APP.db.transaction(IMAGE_STORE, 'readonly');
+        const request = tx.objectStore(IMAGE_STORE).getAllKeys();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    const unused = stored.filter(id => !used.has(id));
+    if (unused.length === 0) return;
+    await deleteRecords(IMAGE_STORE, unused);
+    unused.forEach(id => {
+        if (APP.symbolUrls.has(id)) URL.revokeObjectURL(APP.symbolUrls.get(id));
+        APP.symbolUrls.delete(id);
+    });
+    console.log(`[Symbols] Removed ${unused.length} unused pictures`);
+}
+
+/**
+ * Put an emoji or picture in front of a button's label
+ */
+function renderSymbol(btn, icon) {
+    if (!icon) return;
+    let symbol;
+    if (isImageIcon(icon)) {
+        symbol = document.createElement('img');
+        symbol.alt = '';
+        symbol.draggable = false;
+        getSymbolUrl(icon.slice(6)).then(url => {
+            if (url) symbol.src = url; else symbol.remove();
+        }).catch(() => symbol.remove());
+    } else {
+        symbol = document.createElement('span');
+        symbol.textContent = icon;
+    }
+    symbol.className = 'symbol';
+    btn.classList.add('has-symbol');
+    btn.prepend(symbol);
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function dataUrlToBlob(dataUrl) {
+    const m = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl || '');
+    if (!m) return null;
+    const bytes = m[2] ? Uint8Array.from(atob(m[3]), c => c.charCodeAt(0)) : new TextEncoder().encode(decodeURIComponent(m[3]));
+    return new Blob([bytes], { type: m[1] || 'application/octet-stream' });
+}
+
+/**
+ * Stored pictures as { id: Blob } for the given ids
+ */
+async function loadSymbolImages(ids) {
+    const images = {};
+    for (const id of ids) {
+        const record = await new Promise((resolve, reject) => {
+            const tx = APP.db.transaction(IMAGE_STORE, 'readonly');
+            const request = tx.objectStore(IMAGE_STORE).get(id);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+        if (record) images[id] = record.blob;
+    }
+    return images;
+}
+
+/**
+ * Store the pictures that came with an imported board
+ */
+async function saveImportedImages(board) {
+    const images = board.pendingImages || {};
+    delete board.pendingImages;
+    const records = Object.entries(images).map(([id, blob]) => ({ id, blob, createdAt: Date.now() }));
+    if (records.length > 0 && APP.db) await putRecords(IMAGE_STORE, records);
+}
+
+/**
+ * Symbol picker in the phrase and group editors: an emoji field, a picture button and a clear button
+ */
+function setupSymbolPicker(picker, onChange) {
+    const emojiInput = picker.querySelector('.symbol-emoji');
+    const fileInput = picker.querySelector('input[type="file"]');
+    
+    emojiInput.oninput = () => {
+        const icon = emojiInput.value.trim() || null;
+        showSelectedSymbol(picker, icon);
+        onChange(icon);
+    };
+    picker.querySelector('.symbol-image-btn').onclick = () => fileInput.click();
+    picker.querySelector('.symbol-clear-btn').onclick = () => {
+        showSelectedSymbol(picker, null);
+        onChange(null);
+    };
+    fileInput.onchange = async (e) => {
+        const file = e.target.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const icon = await saveSymbolImage(file);
+            showSelectedSymbol(picker, icon);
+            onChange(icon);
+        } catch (error) {
+            console.error('[Symbols] Failed to add picture:', error);
+            alert('Could not use that picture: ' + error.message);
+        }
+    };
+}
+
+function showSelectedSymbol(picker, icon) {
+    const preview = picker.querySelector('.symbol-preview');
+    preview.innerHTML = '';
+    picker.querySelector('.symbol-emoji').value = icon && !isImageIcon(icon) ? icon : '';
+    if (icon) renderSymbol(preview, icon);
+}
+
+// Symbol picker state
+let selectedIcon = null;
+let selectedGroupIcon = null;
+const symbolPicker = document.getElementById('symbolPicker');
+const groupSymbolPicker = document.getElementById('groupSymbolPicker');
+
+setupSymbolPicker(symbolPicker, icon => { selectedIcon = icon; });
+setupSymbolPicker(groupSymbolPicker, icon => { selectedGroupIcon = icon; });
+
+/**
+ * Modified Fitzgerald Key: button colors by part of speech
+ */
+const WORD_CLASSES = {
+    people:     { label: 'People', color: '#fff59d' },
+    actions:    { label: 'Actions', color: '#c5e1a5' },
+    describing: { label: 'Describing', color: '#90caf9' },
+    things:     { label: 'Things', color: '#ffcc80' },
+    social:     { label: 'Social', color: '#f48fb1' },
+    questions:  { label: 'Questions', color: '#ce93d8' },
+    negation:   { label: 'Negation', color: '#ef9a9a' },
+    little:     { label: 'Little words', color: '#eeeeee' }
+};
+
+// Words recognised when a button's word type is left on auto
+const WORD_CLASS_WORDS = {
+    people: ['i', 'me', 'my', 'mine', 'you', 'your', 'he', 'him', 'his', 'she', 'her', 'we', 'us', 'our',
+        'they', 'them', 'their', 'it', 'mum', 'mom', 'dad', 'friend', 'doctor', 'nurse', 'teacher'],
+    actions: ['want', 'need', 'like', 'go', 'come', 'stop', 'help', 'eat', 'drink', 'get', 'give', 'make',
+        'look', 'see', 'feel', 'have', 'do', 'play', 'read', 'sleep', 'sit', 'stand', 'walk', 'wait', 'open',
+        'close', 'put', 'take', 'turn', 'say', 'tell', 'think', 'know', 'love', 'is', 'am', 'are', 'can', 'will'],
+    describing: ['good', 'bad', 'big', 'little', 'small', 'hot', 'cold', 'happy', 'sad', 'tired', 'hungry',
+        'thirsty', 'sick', 'hurt', 'fine', 'more', 'all', 'different', 'same', 'fast', 'slow', 'here', 'there',
+        'now', 'later', 'again', 'very', 'too', 'finished', 'done'],
+    social: ['hello', 'hi', 'bye', 'goodbye', 'please', 'thanks', 'sorry', 'yes', 'ok', 'okay', 'excuse',
+        'welcome', 'congratulations'],
+    questions: ['what', 'where', 'when', 'who', 'why', 'how', 'which'],
+    negation: ['no', 'not', "don't", "can't", "won't", 'never', 'nothing', 'none'],
+    little: ['a', 'an', 'the', 'and', 'or', 'but', 'to', 'in', 'on', 'at', 'of', 'for', 'with', 'up', 'down',
+        'out', 'off', 'from', 'about', 'this', 'that']
+};
+
+/**
+ * Word class of a phrase: the one chosen in the editor, otherwise a guess from its words.
+ * Single unknown words count as things; longer phrases are only coded when the guess is clear.
+ */
+function getWordClass(item) {
+    if (item.wordClass) return WORD_CLASSES[item.wordClass] ? item.wordClass : null;
+    
+    const words = (item.text.toLowerCase().match(/[a-z']+/g) || []);
+    if (words.length === 0) return null;
+    const lookup = (word) => Object.keys(WORD_CLASS_WORDS).find(cls => WORD_CLASS_WORDS[cls].includes(word)) || null;
+    
+    if (words.length === 1) return lookup(words[0]) || 'things';
+    if (['social', 'negation'].includes(lookup(words[0]))) return lookup(words[0]);
+    if (item.text.trim().endsWith('?') || WORD_CLASS_WORDS.questions.includes(words[0])) return 'questions';
+    if (words[0] === 'good' || words[0] === 'thank' || words[0] === 'nice') return 'social';
+    return null;
+}
+
+/**
+ * Background for a button: its own color, or the word class color when coding is on
+ */
+function getButtonColor(item, group) {
+    if (group) return group.color;
+    if (item.color && item.color !== '#ffffff') return item.color;
+    if (APP.settings.colorCoding === 'fitzgerald') {
+        const cls = getWordClass(item);
+        if (cls) return WORD_CLASSES[cls].color;
+    }
+    return item.color;
+}
+
+function fillWordClassSelect(select) {
+    select.innerHTML = '';
+    [['', 'Auto'], ...Object.entries(WORD_CLASSES).map(([id, cls]) => [id, cls.label]), ['none', 'None']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+}
+
+fillWordClassSelect(editWordClassSelect);
+
+/**
+ * Give every item in a fixed layout its own cell, keeping cells already taken.
+ * New items (and items whose cell is a duplicate, e.g. after a merge) fill the first free cells.
+ */
+function assignCells(group) {
+    const used = new Set();
+    const pending = [];
+    group.items.forEach(item => {
+        if (Number.isInteger(item.cell) && item.cell >= 0 && !used.has(item.cell)) {
+            used.add(item.cell);
+        } else {
+            pending.push(item);
+        }
+    });
+    let next = 0;
+    pending.forEach(item => {
+        while (used.has(next)) next++;
+        item.cell = next;
+        used.add(next);
+    });
+}
+
+const LAYOUT_MAX_COLUMNS = 12;  // Largest choices in the layout editor
+const LAYOUT_MAX_ROWS = 8;
+
+/**
+ * Layout of a group, or null for the automatic grid.
+ * { columns, rows, fixed } - columns/rows null for automatic; fixed keeps each item in its cell.
+ */
+function getGroupLayout(group) {
+    return (group && group.layout) || null;
+}
+
+/**
+ * Size the grid for the group being shown
+ */
+function applyGridLayout(layout) {
+    phraseGrid.style.gridTemplateColumns = layout && layout.columns ? `repeat(${layout.columns}, minmax(0, 1fr))` : '';
+    phraseGrid.classList.toggle('fixed', Boolean(layout && layout.fixed));
+    if (layout && layout.rows) {
+        phraseGrid.dataset.rows = layout.rows;
+        phraseGrid.style.setProperty('--grid-rows', layout.rows);
+    } else {
+        delete phraseGrid.dataset.rows;
+        phraseGrid.style.removeProperty('--grid-rows');
+    }
+}
+
+/**
+ * Put a tile in its fixed cell
+ */
+function placeInCell(el, cell, columns) {
+    el.style.gridRow = Math.floor(cell / columns) + 1;
+    el.style.gridColumn = (cell % columns) + 1;
+}
+
+function openLayoutModal() {
+    const layout = getGroupLayout(getGroup(getCurrentGroupId())) || {};
+    layoutColumnsSelect.value = layout.columns || '';
+    layoutRowsSelect.value = layout.rows || '';
+    layoutFixedToggle.checked = Boolean(layout.fixed);
+    layoutModal.classList.remove('hidden');
+}
+
+function closeLayoutModal() {
+    layoutModal.classList.add('hidden');
+}
+
+/**
+ * Save the layout of the group being shown. Turning fixed positions on pins buttons
+ * where they are now; changing the column count keeps each button's row and column
+ * where it still fits.
+ */
+function saveLayout() {
+    const group = getGroup(getCurrentGroupId());
+    const old = getGroupLayout(group) || {};
+    const columns = Number(layoutColumnsSelect.value) || null;
+    const rows = Number(layoutRowsSelect.value) || null;
+    const fixed = layoutFixedToggle.checked;
+    
+    if (fixed && !columns) {
+        alert('Choose a number of columns to keep buttons in place.');
+        return;
+    }
+    
+    if (fixed && old.fixed && old.columns !== columns) {
+        group.items.forEach(item => {
+            const row = Math.floor(item.cell / old.columns);
+            const col = item.cell % old.columns;
+            item.cell = col < columns ? row * columns + col : -1;
+        });
+    } else if (fixed && !old.fixed) {
+        group.items.forEach(item => { delete item.cell; });
+    } else if (!fixed && old.fixed) {
+        // Keep the order the buttons were shown in
+        group.items.sort((a, b) => a.cell - b.cell);
+        group.items.forEach(item => { delete item.cell; });
+    }
+    
+    group.layout = columns || rows || fixed ? { columns, rows, fixed } : null;
+    if (fixed) assignCells(group);
+    closeLayoutModal();
+    commitBoardChange();
+}
+
+/**
+ * Fill a select with every group, labelled by its path
+ */
+function fillGroupSelect(select, selected) {
+    select.innerHTML = '';
+    const entries = Object.values(APP.phrases.groups).map(group => {
+        const path = getGroupPath(group.id).map(id => getGroup(id).name);
+        return { id: group.id, label: ['🏠 Home', ...path].join(' › ') };
+    });
+    entries.sort((a, b) => a.label.localeCompare(b.label));
+    
+    entries.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = entry.label;
+        select.appendChild(option);
+    });
+    select.value = selected || APP.phrases.rootId;
+}
+
+/**
+ * Open edit modal for a phrase, pre-filled with its current values.
+ * item is null to add a new phrase to items.
+ */
+function openEditModal(item, items) {
+    editingItem = item;
+    editingItems = items;
+    editModalTitle.textContent = item ? 'Edit phrase' : 'Add phrase';
+    editPhraseText.value = item ? item.text : '';
+    editSpeakText.value = (item && item.speakText) || '';
+    editInsertText.value = (item && item.insertText) || '';
+    editDelete.style.display = item ? '' : 'none';
+    fillGroupSelect(editGroupSelect, getCurrentGroupId());
+    
+    // Set selected color
+    selectedColor = (item && item.color) || '#ffffff';
+    showSelectedColor(colorPicker, selectedColor);
+    selectedIcon = (item && item.icon) || null;
+    showSelectedSymbol(symbolPicker, selectedIcon);
+    editWordClassSelect.value = (item && item.wordClass) || '';
+    
+    editModal.classList.remove('hidden');
+    editPhraseText.focus();
+}
+
+/**
+ * Close edit modal
+ */
+function closeEditModal() {
+    editModal.classList.add('hidden');
+    editingItem = null;
+    editingItems = null;
+    selectedColor = '#ffffff';
+}
+
+/**
+ * Save edited (or new) phrase
+ */
+function saveEditedPhrase() {
+    const newText = editPhraseText.value.trim();
+    if (!newText || !editingItems) return;
+    
+    let item = editingItem;
+    if (!item) {
+        item = { type: 'phrase', text: newText };
+        editingItems.push(item);
+    }
+    
+    // Update the phrase with label, speak text, message text and color
+    item.text = newText;
+    item.speakText = editSpeakText.value.trim() || null;
+    item.insertText = editInsertText.value.trim() || null;
+    item.color = selectedColor;
+    item.icon = selectedIcon;
+    item.wordClass = editWordClassSelect.value || null;
+    
+    if (editGroupSelect.value !== getCurrentGroupId()) {
+        moveItemToGroup(item, editingItems, editGroupSelect.value);
+    }
+    
+    closeEditModal();
+    
+    // Save to persistent storage
+    commitBoardChange();
+}
+
+/**
+ * Delete a phrase
+ */
+function deletePhrase() {
+    if (!editingItem || !editingItems) return;
+    
+    const idx = editingItems.indexOf(editingItem);
+    if (idx !== -1) editingItems.splice(idx, 1);
+    
+    closeEditModal();
+    
+    // Save to persistent storage
+    commitBoardChange();
+}
+
+/**
+ * Open the group editor, or create a group in the current one when groupId is null
+ */
+function openGroupModal(groupId) {
+    const group = groupId ? getGroup(groupId) : null;
+    editingGroupId = group ? group.id : null;
+    groupModalTitle.textContent = group ? 'Edit group' : 'Add group';
+    groupNameInput.value = group ? group.name : '';
+    groupDelete.style.display = group ? '' : 'none';
+    
+    selectedGroupColor = (group && group.color) || '#e0e0e0';
+    showSelectedColor(groupColorPicker, selectedGroupColor);
+    selectedGroupIcon = (group && group.icon) || null;
+    showSelectedSymbol(groupSymbolPicker, selectedGroupIcon);
+    
+    groupModal.classList.remove('hidden');
+    groupNameInput.focus();
+}
+
+function closeGroupModal() {
+    groupModal.classList.add('hidden');
+    editingGroupId = null;
+}
+
+/**
+ * Save a renamed or new group
+ */
+function saveGroup() {
+    const name = groupNameInput.value.trim();
+    if (!name) return;
+    
+    if (editingGroupId) {
+        const group = getGroup(editingGroupId);
+        group.name = name;
+        group.color = selectedGroupColor;
+        group.icon = selectedGroupIcon;
+    } else {
+        const parent = getGroup(getCurrentGroupId());
+        const id = newGroupId();
+        APP.phrases.groups[id] = { id, name, parentId: parent.id, color: selectedGroupColor, icon: selectedGroupIcon, items: [] };
+        parent.items.push({ type: 'group', id });
+    }
+    
+    closeGroupModal();
+    commitBoardChange();
+}
+
+/**
+ * Delete the group being edited, after confirmation
+ */
+function deleteEditedGroup() {
+    const group = getGroup(editingGroupId);
+    if (!group) return;
+    const count = group.items.length;
+    if (!confirm(`Delete group "${group.name}" and its ${count} item${count === 1 ? '' : 's'}?`)) return;
+    
+    deleteGroup(group.id);
+    closeGroupModal();
+    commitBoardChange();
+}
+
+/**
+ * Toggle board edit mode
+ */
+function setEditMode(enabled) {
+    APP.editMode = enabled;
+    btnEdit.classList.toggle('active', enabled);
+    renderPhrases();
+}
+
+/**
+ * Save a Blob through a temporary download link
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Count groups (excluding home) and phrases in a board
+ */
+function countBoard(board) {
+    const groups = Object.values(board.groups);
+    const phrases = groups.reduce((n, g) => n + g.items.filter(it => it.type === 'phrase').length, 0);
+    return { groups: groups.length - 1, phrases };
+}
+
+/**
+ * Export the whole board as our own JSON
+ */
+async function exportBoardJSON() {
+    // Pictures travel inside the file as data URLs
+    const images = {};
+    if (APP.db) {
+        const blobs = await loadSymbolImages(collectImageIds(APP.phrases));
+        for (const [id, blob] of Object.entries(blobs)) images[id] = await blobToDataUrl(blob);
+    }
+    const data = {
+        format: 'htmu-board',
+        schemaVersion: BOARD_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        board: APP.phrases,
+        images
+    };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'htmu-board.json');
+}
+
+/**
+ * Convert "#rrggbb" to the "rgb(r, g, b)" form OBF uses
+ */
+function hexToRgb(hex) {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    if (!m) return null;
+    return `rgb(${parseInt(m[1], 16)}, ${parseInt(m[2], 16)}, ${parseInt(m[3], 16)})`;
+}
+
+/**
+ * Convert an OBF color ("rgb(...)", "rgba(...)" or hex) to "#rrggbb"
+ */
+function colorToHex(color) {
+    if (!color) return null;
+    if (/^#[0-9a-f]{6}$/i.test(color)) return color.toLowerCase();
+    const m = /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color);
+    if (!m) return null;
+    return '#' + m.slice(1, 4).map(n => Math.min(255, Number(n)).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build an Open Board Format board for one group.
+ * boardPath maps a group id to its path inside an .obz (null for a single .obf).
+ * imageEntry maps a picture id to its OBF image record (without the id), or null to leave it out.
+ */
+function groupToOBF(group, boardPath, imageEntry) {
+    const buttons = [];
+    const images = [];
+    
+    // Fixed layouts keep their gaps; otherwise buttons fill the grid in order
+    const layout = getGroupLayout(group);
+    const fixed = Boolean(layout && layout.fixed);
+    const cells = [];
+    if (fixed) {
+        // Exporting mustn't change the board: work out cells on a copy
+        group = { ...group, items: group.items.map(item => ({ ...item })) };
+        assignCells(group);
+    }
+    const addSymbol = (button, icon) => {
+        if (!icon) return;
+        if (!isImageIcon(icon)) {
+            button.ext_htmu_emoji = icon;
+            return;
+        }
+        const entry = imageEntry(icon.slice(6));
+        if (!entry) return;
+        if (!images.some(image => image.id === icon.slice(6))) images.push({ id: icon.slice(6), ...entry });
+        button.image_id = icon.slice(6);
+    };
+    group.items.forEach((item, idx) => {
+        const button = { id: `${group.id}-${idx}` };
+        if (item.type === 'group') {
+            const child = getGroup(item.id);
+            if (!child) return;
+            button.label = child.name;
+            button.load_board = { id: child.id };
+            if (boardPath) button.load_board.path = boardPath(child.id);
+            if (child.color) button.background_color = hexToRgb(child.color);
+            addSymbol(button, child.icon);
+        } else {
+            button.label = item.text;
+            if (item.speakText) button.vocalization = item.speakText;
+            if (item.insertText) button.ext_htmu_insert_text = item.insertText;
+            if (item.color) button.background_color = hexToRgb(item.color);
+            addSymbol(button, item.icon);
+        }
+        if (!button.background_color) delete button.background_color;
+        buttons.push(button);
+        cells.push(fixed ? item.cell : cells.length);
+    });
+    
+    const columns = (layout && layout.columns) || Math.max(1, Math.ceil(Math.sqrt(buttons.length)));
+    const rows = Math.max(1, (layout && layout.rows) || 0, ...cells.map(cell => Math.floor(cell / columns) + 1));
+    const order = [];
+    for (let r = 0; r < rows; r++) order.push(new Array(columns).fill(null));
+    buttons.forEach((b, i) => { order[Math.floor(cells[i] / columns)][cells[i] % columns] = b.id; });
+    
+    return {
+        format: 'open-board-0.1',
+        id: group.id,
+        locale: (navigator.language || 'en').split('-')[0],
+        name: group.name,
+        buttons,
+        grid: { rows, columns, order },
+        ext_htmu_layout: layout,
+        images,
+        sounds: []
+    };
+}
+
+/**
+ * Export the group being shown as a single .obf board.
+ * Only its buttons' pictures are included: a group's own symbol is drawn on its parent's
+ * button, which isn't part of this board.
+ */
+async function exportGroupOBF() {
+    const group = getGroup(getCurrentGroupId());
+    const ids = new Set(group.items.map(item =>
+        item.type === 'group' ? (getGroup(item.id) || {}).icon : item.icon)
+        .filter(isImageIcon).map(icon => icon.slice(6)));
+    const blobs = APP.db ? await loadSymbolImages(ids) : {};
+    const dataUrls = {};
+    for (const [id, blob] of Object.entries(blobs)) dataUrls[id] = await blobToDataUrl(blob);
+    
+    const obf = groupToOBF(group, null, id => (dataUrls[id]
+        ? { data: dataUrls[id], content_type: blobs[id].type || 'image/png' }
+        : null));
+    downloadBlob(new Blob([JSON.stringify(obf, null, 2)], { type: 'application/json' }), `${slugify(group.name)}.obf`);
+}
+
+/**
+ * Export every group as a linked .obz board set
+ */
+async function exportBoardOBZ() {
+    const zip = new JSZip();
+    const boardPath = (id) => `boards/${id}.obf`;
+    const boards = {};
+    
+    // Pictures are stored once under images/ and referenced by path
+    const blobs = APP.db ? await loadSymbolImages(collectImageIds(APP.phrases)) : {};
+    const images = {};
+    Object.entries(blobs).forEach(([id, blob]) => {
+        images[id] = `images/${id}.png`;
+        zip.file(images[id], blob);
+    });
+    const imageEntry = (id) => (images[id] ? { path: images[id], content_type: blobs[id].type || 'image/png' } : null);
+    
+    Object.values(APP.phrases.groups).forEach(group => {
+        boards[group.id] = boardPath(group.id);
+        zip.file(boardPath(group.id), JSON.stringify(groupToOBF(group, boardPath, imageEntry), null, 2));
+    });
+    zip.file('manifest.json', JSON.stringify({
+        format: 'open-board-0.1',
+        root: boardPath(APP.phrases.rootId),
+        paths: { boards, images, sounds: {} }
+    }, null, 2));
+    
+    const blob = await zip.generateAsync({ type: 'blob' });
+    downloadBlob(blob, 'htmu-board.obz');
+}
+
+/**
+ * Convert OBF boards into one of our boards.
+ * obfBoards maps OBF board id -> board JSON; buttons linking to boards that
+ * aren't in the set are dropped. zipImages maps .obz paths to picture Blobs.
+ * Pictures end up in board.pendingImages until the import is applied.
+ */
+function obfToBoard(obfBoards, rootObfId, zipImages = new Map()) {
+    const groups = {};
+    const idFor = {};  // OBF board id -> our group id
+    const pendingImages = {};
+    
+    const symbolFor = (obf, button) => {
+        if (button.ext_htmu_emoji) return button.ext_htmu_emoji;
+        if (button.image_id === undefined) return null;
+        const image = (obf.images || []).find(img => String(img.id) === String(button.image_id));
+        if (!image) return null;
+        const blob = image.data ? dataUrlToBlob(image.data) : zipImages.get(image.path) || null;
+        if (!blob) return null;  // Remote URLs aren't fetched
+        const id = newImageId();
+        pendingImages[id] = blob;
+        return `image:${id}`;
+    };
+    
+    const convert = (obf, parentId) => {
+        const id = parentId === null ? 'home' : newGroupId();
+        idFor[obf.id] = id;
+        const group = { id, name: parentId === null ? 'Home' : (obf.name || 'Board'), parentId, icon: null, items: [] };
+        groups[id] = group;
+        
+        // Grid order first (row by row), then any buttons the grid leaves out
+        const byId = new Map((obf.buttons || []).map(b => [String(b.id), b]));
+        const ordered = [];
+        const cellOf = new Map();
+        const order = obf.grid && Array.isArray(obf.grid.order) ? obf.grid.order : [];
+        const columns = Math.max(0, ...order.map(row => (Array.isArray(row) ? row.length : 0)));
+        order.forEach((row, r) => (row || []).forEach((buttonId, c) => {
+            const button = byId.get(String(buttonId));
+            if (!button || ordered.includes(button)) return;
+            ordered.push(button);
+            cellOf.set(button, r * columns + c);
+        }));
+        
+        // Our own exports say how they were laid out; other boards keep their grid positions
+        if ('ext_htmu_layout' in obf) {
+            group.layout = obf.ext_htmu_layout || null;
+        } else if (columns > 0) {
+            group.layout = { columns, rows: order.length, fixed: true };
+        }
+        const fixed = Boolean(group.layout && group.layout.fixed);
+        (obf.buttons || []).forEach(b => { if (!ordered.includes(b)) ordered.push(b); });
+        
+        ordered.forEach(button => {
+            const color = colorToHex(button.background_color);
+            if (button.load_board) {
+                const child = obfBoards[button.load_board.id] || obfBoards[button.load_board.path];
+                if (!child || idFor[child.id]) return;  // Missing, or already linked elsewhere
+                const childId = convert(child, id);
+                groups[childId].name = button.label || child.name || 'Board';
+                if (color) groups[childId].color = color;
+                groups[childId].icon = symbolFor(obf, button);
+                const tile = { type: 'group', id: childId };
+                if (fixed && cellOf.has(button)) tile.cell = cellOf.get(button);
+                group.items.push(tile);
+                return;
+            }
+            const text = (button.label || button.vocalization || '').trim();
+            if (!text) return;
+            const item = { type: 'phrase', text };
+            if (button.vocalization && button.vocalization !== text) item.speakText = button.vocalization;
+            if (button.ext_htmu_insert_text) item.insertText = button.ext_htmu_insert_text;
+            if (color) item.color = color;
+            const icon = symbolFor(obf, button);
+            if (icon) item.icon = icon;
+            if (fixed && cellOf.has(button)) item.cell = cellOf.get(button);
+            group.items.push(item);
+        });
+        return id;
+    };
+    
+    convert(obfBoards[rootObfId], null);
+    return { rootId: 'home', groups, pendingImages };
+}
+
+/**
+ * Parse an imported board file (.json, .obf or .obz) into a board
+ */
+async function parseBoardFile(file) {
+    const name = file.name.toLowerCase();
+    
+    if (name.endsWith('.obz')) {
+        const zip = await JSZip.loadAsync(await file.arrayBuffer());
+        const manifestEntry = zip.file('manifest.json');
+        if (!manifestEntry) throw new Error('manifest.json missing from .obz');
+        const manifest = JSON.parse(await manifestEntry.async('string'));
+        if (!manifest.root) throw new Error('.obz manifest has no root board');
+        
+        // Index boards by id and by path so load_board links resolve either way
+        const obfBoards = {};
+        const zipImages = new Map();
+        for (const entry of Object.values(zip.files)) {
+            if (entry.dir) continue;
+            if (/\.(png|jpe?g|gif|webp|svg)$/i.test(entry.name)) {
+                const type = entry.name.toLowerCase().endsWith('.svg') ? 'image/svg+xml' : '';
+                zipImages.set(entry.name, new Blob([await entry.async('arraybuffer')], type ? { type } : {}));
+                continue;
+            }
+            if (!entry.name.toLowerCase().endsWith('.obf')) continue;
+            const obf = JSON.parse(await entry.async('string'));
+            obfBoards[obf.id] = obf;
+            obfBoards[entry.name] = obf;
+        }
+        const root = obfBoards[manifest.root];
+        if (!root) throw new Error(`Root board ${manifest.root} not found in .obz`);
+        return validateBoard(obfToBoard(obfBoards, root.id, zipImages));
+    }
+    
+    const data = JSON.parse(await file.text());
+    
+    if (name.endsWith('.obf') || (data.format && String(data.format).startsWith('open-board'))) {
+        if (!Array.isArray(data.buttons)) throw new Error('Not an Open Board Format board');
+        return validateBoard(obfToBoard({ [data.id]: data }, data.id));
+    }
+    
+    if (data.format === 'htmu-board' && data.board) {
+        if ((data.schemaVersion || 1) > BOARD_SCHEMA_VERSION) {
+            throw new Error('Board was exported by a newer version of the app');
+        }
+        const board = validateBoard(migrateBoard(data.board, data.schemaVersion || 1));
+        board.pendingImages = {};
+        Object.entries(data.images || {}).forEach(([id, dataUrl]) => {
+            const blob = dataUrlToBlob(dataUrl);
+            if (blob) board.pendingImages[id] = blob;
+        });
+        return board;
+    }
+    if (data.rootId && data.groups) return validateBoard(data);
+    if (Array.isArray(data.phrases)) return validateBoard(migrateBoard(data, 1));
+    
+    throw new Error('Unrecognised board file');
+}
+
+/**
+ * Check an imported board is usable: every item is a phrase with text or a link to a group
+ * in the board, and no group contains itself. Throws saying what's wrong.
+ */
+function validateBoard(board) {
+    if (!board || !board.groups || typeof board.groups !== 'object' || !board.groups[board.rootId]) {
+        throw new Error('Board has no home group');
+    }
+    Object.entries(board.groups).forEach(([id, group]) => {
+        if (!group || group.id !== id || typeof group.name !== 'string') throw new Error(`Group ${id} is malformed`);
+        if (!Array.isArray(group.items)) throw new Error(`Group "${group.name}" has no items`);
+        group.items.forEach(item => {
+            if (item && item.type === 'group') {
+                if (!board.groups[item.id]) throw new Error(`Group "${group.name}" links to a missing group`);
+            } else if (item && item.type === 'phrase') {
+                if (typeof item.text !== 'string' || !item.text.trim()) {
+                    throw new Error(`Group "${group.name}" has a phrase without text`);
+                }
+                // Optional fields of the wrong kind are dropped rather than rejected
+                ['speakText', 'insertText', 'color', 'icon', 'wordClass'].forEach(key => {
+                    if (item[key] != null && typeof item[key] !== 'string') delete item[key];
+                });
+            } else {
+                throw new Error(`Group "${group.name}" has an item that is neither a phrase nor a group`);
+            }
+        });
+        sanitizeLayout(group);
+    });
+    
+    // Walk down from home; meeting a group already on the current path means a loop
+    const checked = new Set();
+    const walk = (id, path) => {
+        if (path.includes(id)) throw new Error(`Group "${board.groups[id].name}" contains itself`);
+        if (checked.has(id)) return;
+        board.groups[id].items.forEach(item => {
+            if (item.type === 'group') walk(item.id, [...path, id]);
+        });
+        checked.add(id);
+    };
+    walk(board.rootId, []);
+    return board;
+}
+
+/**
+ * Drop layout settings and cells outside what the layout editor allows, so a bad
+ * file can't break the grid. Items left without a cell get one when shown.
+ */
+function sanitizeLayout(group) {
+    const layout = group.layout;
+    const inRange = (n, max) => Number.isInteger(n) && n >= 1 && n <= max;
+    if (layout && typeof layout === 'object') {
+        const columns = inRange(layout.columns, LAYOUT_MAX_COLUMNS) ? layout.columns : null;
+        const rows = inRange(layout.rows, LAYOUT_MAX_ROWS) ? layout.rows : null;
+        const fixed = layout.fixed === true && columns !== null;
+        group.layout = columns || rows || fixed ? { columns, rows, fixed } : null;
+    } else {
+        group.layout = null;
+    }
+    
+    // Fixed boards have at most one row per item beyond the rows shown
+    const maxCell = group.layout && group.layout.fixed
+        ? group.layout.columns * (Math.max(group.layout.rows || 0, group.items.length) + 1)
+        : 0;
+    group.items.forEach(item => {
+        if (!('cell' in item)) return;
+        if (!Number.isInteger(item.cell) || item.cell < 0 || item.cell >= maxCell) delete item.cell;
+    });
+}
+
+/**
+ * Add an imported board's contents to a group: phrases not already there are appended,
+ * groups with the same name are merged, other groups are added with fresh ids.
+ * `placed` maps imported group ids already merged to where they went, so a group linked
+ * from several places is merged once and then linked.
+ */
+function mergeImportedGroup(targetId, imported, importedId, placed = new Map()) {
+    const target = getGroup(targetId);
+    placed.set(importedId, targetId);
+    imported.groups[importedId].items.forEach(item => {
+        if (item.type === 'group') {
+            const source = imported.groups[item.id];
+            if (!source) return;
+            if (placed.has(source.id)) {
+                const linkedId = placed.get(source.id);
+                if (linkedId !== target.id && !target.items.some(it => it.type === 'group' && it.id === linkedId)) {
+                    target.items.push({ type: 'group', id: linkedId });
+                }
+                return;
+            }
+            const existing = target.items.find(it => it.type === 'group' && getGroup(it.id) &&
+                getGroup(it.id).name.toLowerCase() === source.name.toLowerCase());
+            if (existing) {
+                mergeImportedGroup(existing.id, imported, source.id, placed);
+            } else {
+                const id = newGroupId();
+                APP.phrases.groups[id] = { ...structuredClone(source), id, parentId: target.id, items: [] };
+                target.items.push({ type: 'group', id });
+                mergeImportedGroup(id, imported, source.id, placed);
+            }
+        } else if (!target.items.some(it => it.type === 'phrase' && it.text === item.text)) {
+            target.items.push(structuredClone(item));
+        }
+    });
+}
+
+/**
+ * Show what an import contains before merging or replacing
+ */
+function openImportModal(board, fileName) {
+    pendingImport = board;
+    const counts = countBoard(board);
+    const home = board.groups[board.rootId];
+    const labels = home.items.slice(0, 12).map(it =>
+        it.type === 'group' ? `📁 ${board.groups[it.id] ? board.groups[it.id].name : '?'}` : it.text);
+    
+    importSummary.innerHTML = '';
+    const heading = document.createElement('p');
+    heading.textContent = `${fileName}: ${counts.phrases} phrase${counts.phrases === 1 ? '' : 's'} in ${counts.groups} group${counts.groups === 1 ? '' : 's'}`;
+    const list = document.createElement('p');
+    list.className = 'import-preview';
+    list.textContent = labels.join(' · ') + (home.items.length > labels.length ? ' …' : '');
+    importSummary.append(heading, list);
+    
+    importModal.classList.remove('hidden');
+}
+
+function closeImportModal() {
+    importModal.classList.add('hidden');
+    pendingImport = null;
+}
+
+/**
+ * Apply the pending import
+ */
+async function applyImport(mode) {
+    if (!pendingImport) return;
+    if (mode === 'replace' && !confirm('Replace your whole board with the imported one?')) return;
+    
+    const imported = pendingImport;
+    try {
+        await saveImportedImages(imported);
+    } catch (error) {
+        console.error('[Symbols] Failed to store imported pictures:', error);
+        alert('The board was imported without its pictures: ' + error.message);
+    }
+    const previous = structuredClone(APP.phrases);
+    try {
+        if (mode === 'replace') {
+            APP.phrases = validateBoard(imported);
+        } else {
+            mergeImportedGroup(APP.phrases.rootId, validateBoard(imported), imported.rootId);
+        }
+    } catch (error) {
+        console.error('[Board] Import failed:', error);
+        APP.phrases = previous;  // A merge may have stopped halfway
+        alert('Could not import the board: ' + error.message);
+        return;
+    }
+    closeImportModal();
+    closeSettingsModal();
+    APP.currentPath = [];
+    commitBoardChange();
+}
+
+const BACKUP_FORMAT_VERSION = 3;  // 2: history entries from HISTORY_STORE instead of strings; 3: symbol pictures
+
+/**
+ * Export voices, board, settings and history as a single .htmubackup archive
+ */
+async function createBackup() {
+    if (!APP.db) throw new Error('Storage is not available');
+    
+    const zip = new JSZip();
+    const voices = await getAllRecords(VOICE_STORE);
+    const prefs = await getAllRecords(PREFS_STORE);
+    const history = await getAllRecords(HISTORY_STORE);
+    const images = await getAllRecords(IMAGE_STORE);
+    
+    images.forEach(image => zip.file(`images/${image.id}`, image.blob));
+    zip.file('images.json', JSON.stringify(images.map(image => ({ id: image.id, type: image.blob.type })), null, 2));
+    voices.forEach(voice => {
+        zip.file(`voices/${encodeURIComponent(voice.name)}.htmuvoice`, voice.data);
+    });
+    zip.file('voices.json', JSON.stringify(voices.map(v => ({ name: v.name, savedAt: v.savedAt })), null, 2));
+    zip.file('prefs.json', JSON.stringify(prefs, null, 2));
+    zip.file('history.json', JSON.stringify(history, null, 2));
+    zip.file('backup.json', JSON.stringify({
+        format: 'htmu-backup',
+        version: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        contents: {
+            voices: voices.map(v => v.name),
+            prefs: prefs.map(p => p.key),
+            history: history.length,
+            images: images.length
+        }
+    }, null, 2));
+    
+    const blob = await zip.generateAsync({ type: 'blob' });
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(blob, `htmu-backup-${date}.htmubackup`);
+}
+
+/**
+ * Read and check a backup archive before anything is written
+ */
+async function readBackup(file) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(await file.arrayBuffer());
+    } catch (error) {
+        throw new Error('Not a backup archive');
+    }
+    
+    const readJSON = async (path) => {
+        const entry = zip.file(path);
+        if (!entry) throw new Error(`${path} is missing from the backup`);
+        try {
+            return JSON.parse(await entry.async('string'));
+        } catch (error) {
+            throw new Error(`${path} is damaged`);
+        }
+    };
+    
+    const manifest = await readJSON('backup.json');
+    if (manifest.format !== 'htmu-backup') throw new Error('Not a backup archive');
+    if (manifest.version > BACKUP_FORMAT_VERSION) throw new Error('Backup was made by a newer version of the app');
+    
+    const prefs = await readJSON('prefs.json');
+    const history = await readJSON('history.json');
+    const voiceMeta = await readJSON('voices.json');
+    if (!Array.isArray(prefs) || prefs.some(p => !p || typeof p.key !== 'string')) {
+        throw new Error('prefs.json is damaged');
+    }
+    if (!Array.isArray(history) || !Array.isArray(voiceMeta)) throw new Error('Backup is damaged');
+    if (history.some(e => typeof e !== 'string' && (!e || typeof e.text !== 'string'))) {
+        throw new Error('history.json is damaged');
+    }
+    
+    const voices = voiceMeta.map(meta => {
+        const entry = zip.file(`voices/${encodeURIComponent(meta.name)}.htmuvoice`);
+        if (!entry) throw new Error(`Voice "${meta.name}" is missing from the backup`);
+        return { ...meta, entry };
+    });
+    
+    // Backups before version 3 have no pictures
+    let images = null;
+    if (zip.file('images.json')) {
+        const imageMeta = await readJSON('images.json');
+        if (!Array.isArray(imageMeta)) throw new Error('images.json is damaged');
+        images = imageMeta.map(meta => {
+            const entry = zip.file(`images/${meta.id}`);
+            if (!entry) throw new Error(`Picture ${meta.id} is missing from the backup`);
+            return { ...meta, entry };
+        });
+    }
+    
+    return { manifest, prefs, history, voices, images };
+}
+
+/**
+ * Rebuild storage from a backup archive. Returns a report of what was restored.
+ */
+async function restoreBackup(file, onProgress) {
+    if (!APP.db) throw new Error('Storage is not available');
+    const backup = await readBackup(file);
+    const report = { voices: [], failedVoices: [], prefs: backup.prefs.length, history: backup.history.length };
+    
+    for (const [i, voice] of backup.voices.entries()) {
+        onProgress(`Restoring voice ${i + 1} of ${backup.voices.length}...`);
+        try {
+            const data = await voice.entry.async('arraybuffer');
+            const files = await extractVoicePackage(data);
+            await putRecords(VOICE_STORE, [{ name: voice.name, data, savedAt: voice.savedAt || Date.now() }]);
+            await saveExtractedFiles(voice.name, files);
+            report.voices.push(voice.name);
+        } catch (error) {
+            console.error('[Backup] Voice restore failed:', voice.name, error);
+            report.failedVoices.push(`${voice.name} (${error.message})`);
+        }
+    }
+    
+    onProgress('Restoring settings and phrases...');
+    await putRecords(PREFS_STORE, backup.prefs, { clear: true });
+    
+    // Version 1 backups hold history as plain strings, most recent first
+    const now = Date.now();
+    const history = backup.history.map((entry, idx) => typeof entry === 'string'
+        ? { text: entry, count: 1, firstUsed: now - idx * 1000, lastUsed: now - idx * 1000, pinned: false, uses: [now - idx * 1000] }
+        : entry);
+    await putRecords(HISTORY_STORE, history, { clear: true });
+    
+    if (backup.images) {
+        onProgress('Restoring pictures...');
+        const images = [];
+        for (const image of backup.images) {
+            const data = await image.entry.async('arraybuffer');
+            images.push({ id: image.id, blob: new Blob([data], { type: image.type || 'image/png' }), createdAt: Date.now() });
+        }
+        await putRecords(IMAGE_STORE, images, { clear: true });
+    }
+    
+    return report;
+}
+
+/**
+ * Describe a restore for the user
+ */
+function formatRestoreReport(report) {
+    const lines = ['Backup restored.'];
+    lines.push(`Voices: ${report.voices.length ? report.voices.join(', ') : 'none'}`);
+    if (report.failedVoices.length) lines.push(`Voices not restored: ${report.failedVoices.join(', ')}`);
+    lines.push(`Settings and phrase records: ${report.prefs}`);
+    lines.push(`History entries: ${report.history}`);
+    lines.push('', 'The app will now reload.');
+    return lines.join('\n');
+}
+
+/**
+ * Append phrase to text input with smart spacing (AAC sentence building).
+ * Takes a phrase item ({ text, speakText, insertText }) or plain text.
+ */
+function appendPhrase(phrase) {
+    const item = typeof phrase === 'string' ? { text: phrase } : phrase;
+    const newPhrase = getInsertText(item);
+    const currentText = textInput.value;
+    
+    if (currentText.length === 0) {
+        // Empty - just add the phrase
+        textInput.value = newPhrase;
+    } else {
+        // Check if last character is a space
+        const lastChar = currentText.slice(-1);
+        if (lastChar === ' ') {
+            textInput.value = currentText + newPhrase;
+        } else {
+            // Add smart space before the new phrase
+            textInput.value = currentText + ' ' + newPhrase;
+        }
+    }
+    
+    // Auto-resize textarea
+    textInput.style.height = 'auto';
+    textInput.style.height = Math.min(textInput.scrollHeight, 100) + 'px';
+    
+    updatePredictions();
+    
+    // Speak the new phrase only (not the whole sentence), remembered by what typeahead matches
+    speak(getSpeakText(item), { policy: APP.settings.tapPolicy, historyText: newPhrase });
+}
+
+/**
+ * Load the pronunciation lexicon
+ */
+async function loadLexicon() {
+    let saved = null;
+    try {
+        saved = await loadPref('lexicon');
+    } catch (error) {
+        console.warn('[Lexicon] Failed to load:', error);
+    }
+    APP.lexicon = Array.isArray(saved) ? saved : [];
+    compileLexicon();
+}
+
+function saveLexicon() {
+    compileLexicon();
+    savePref('lexicon', APP.lexicon).catch(error => {
+        console.error('[Lexicon] Failed to save:', error);
+    });
+}
+
+/**
+ * Build one whole-word, case-insensitive pattern for all entries, longest first
+ * so "St. Mary's" wins over "St."
+ */
+function compileLexicon() {
+    const words = APP.lexicon
+        .map(entry => entry.word.trim())
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+    APP.lexiconPattern = words.length > 0
+        ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+        : null;
+}
+
+function findLexiconEntry(word) {
+    const key = word.trim().replace(/\s+/g, ' ').toLowerCase();
+    return APP.lexicon.find(entry => entry.word.trim().replace(/\s+/g, ' ').toLowerCase() === key);
+}
+
+/**
+ * Replace lexicon words with their respellings
+ */
+function applyLexicon(text) {
+    if (!APP.lexiconPattern) return text;
+    return text.replace(APP.lexiconPattern, match => {
+        const entry = findLexiconEntry(match);
+        return entry ? entry.say : match;
+    });
+}
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+const ORDINAL_WORDS = {
+    one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth'
+};
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * 1234 -> "one thousand two hundred thirty-four"
+ */
+function numberToWords(n) {
+    if (n < 0) return 'minus ' + numberToWords(-n);
+    if (n < 20) return ONES[n];
+    if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? '-' + ONES[n % 10] : '');
+    if (n < 1000) {
+        return ONES[Math.floor(n / 100)] + ' hundred' + (n % 100 ? ' ' + numberToWords(n % 100) : '');
+    }
+    for (const [value, name] of SCALES) {
+        if (n >= value) {
+            const rest = n % value;
+            return numberToWords(Math.floor(n / value)) + ' ' + name + (rest ? ' ' + numberToWords(rest) : '');
+        }
+    }
+    return String(n);
+}
+
+/**
+ * 21 -> "twenty-first"
+ */
+function ordinalToWords(n) {
+    return numberToWords(n).replace(/(\w+)$/, word => {
+        if (ORDINAL_WORDS[word]) return ORDINAL_WORDS[word];
+        if (word.endsWith('y')) return word.slice(0, -1) + 'ieth';
+        return word + 'th';
+    });
+}
+
+/**
+ * 1984 -> "nineteen eighty-four", 2005 -> "two thousand five", 2024 -> "twenty twenty-four"
+ */
+function yearToWords(year) {
+    if (year < 1100 || year >= 10000 || (year >= 2000 && year < 2010) || year % 1000 < 10) {
+        return numberToWords(year);
+    }
+    const tail = year % 100;
+    return numberToWords(Math.floor(year / 100)) + ' ' +
+        (tail === 0 ? 'hundred' : tail < 10 ? 'oh ' + ONES[tail] : numberToWords(tail));
+}
+
+function digitsToWords(digits) {
+    return digits.split('').map(d => ONES[d]).join(' ');
+}
+
+/**
+ * Locale used for date order and similar conventions
+ */
+function getNormalizationLocale() {
+    const locale = APP.settings.normalizationLocale;
+    return locale === 'auto' ? (navigator.language || 'en-US') : locale;
+}
+
+/**
+ * Spoken form of a date; US English says "March 4th", others "the 4th of March"
+ */
+function dateToWords(year, month, day, locale) {
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+    const monthName = MONTHS[month - 1];
+    const spoken = locale === 'en-US'
+        ? `${monthName} ${ordinalToWords(day)}`
+        : `the ${ordinalToWords(day)} of ${monthName}`;
+    return year ? `${spoken}, ${yearToWords(year)}` : spoken;
+}
+
+const CURRENCIES = {
+    '$': ['dollar', 'dollars', 'cent', 'cents'],
+    '£': ['pound', 'pounds', 'penny', 'pence'],
+    '€': ['euro', 'euros', 'cent', 'cents'],
+    '¥': ['yen', 'yen', '', ''],
+    '₹': ['rupee', 'rupees', 'paisa', 'paise'],
+};
+
+const ABBREVIATIONS = {
+    'mr.': 'Mister', 'mrs.': 'Missus', 'ms.': 'Miz', 'prof.': 'Professor', 'jr.': 'Junior', 'sr.': 'Senior',
+    'etc.': 'et cetera', 'e.g.': 'for example', 'i.e.': 'that is', 'vs.': 'versus', 'approx.': 'approximately',
+    'ave.': 'Avenue', 'rd.': 'Road', 'mt.': 'Mount', 'apt.': 'apartment', 'dept.': 'department',
+    'appt.': 'appointment', 'min.': 'minutes', 'hrs': 'hours', 'hr': 'hour', 'mins': 'minutes',
+    'tbh': 'to be honest', 'asap': 'as soon as possible',
+};
+
+// Units only expand straight after a number ("5 mg")
+const UNITS = {
+    mg: 'milligrams', g: 'grams', kg: 'kilograms', mcg: 'micrograms', ml: 'milliliters', l: 'liters',
+    km: 'kilometers', m: 'meters', cm: 'centimeters', mm: 'millimeters', lb: 'pounds', lbs: 'pounds',
+    oz: 'ounces', mph: 'miles per hour', kph: 'kilometers per hour',
+};
+
+const EMOJI_WORDS = {
+    '😀': 'grinning face', '😂': 'laughing', '🙂': 'smiling face', '😊': 'smiling face', '😍': 'heart eyes',
+    '😢': 'crying face', '😭': 'sobbing', '😡': 'angry face', '😠': 'angry face', '😴': 'sleepy',
+    '🤔': 'thinking', '😮': 'surprised', '😱': 'scared', '🤒': 'feeling sick', '🤢': 'feeling nauseous',
+    '👍': 'thumbs up', '👎': 'thumbs down', '👋': 'waving', '🙏': 'please', '👏': 'clapping',
+    '❤️': 'love', '❤': 'love', '💔': 'broken heart', '🔥': 'fire', '⭐': 'star', '✅': 'yes', '❌': 'no',
+    '🎉': 'celebration', '🎂': 'birthday cake', '☕': 'coffee', '🍕': 'pizza', '💊': 'medicine',
+    '🚽': 'toilet', '🛏️': 'bed', '🏠': 'home', '📞': 'phone', '💧': 'water', '🌞': 'sun', '🌧️': 'rain',
+};
+
+/**
+ * Normalization rules, applied in this order. Each can be switched off in settings.
+ */
+const NORMALIZATION_RULES = [
+    {
+        id: 'urls',
+        label: 'Web addresses and email',
+        apply: text => text
+            .replace(/\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, email => email
+                .replace('@', ' at ').replace(/\./g, ' dot '))
+            .replace(/\b(?:https?:\/\/)?(?:www\.)?((?:[a-z0-9-]+\.)+(?:com|org|net|edu|gov|io|co|uk|us|ca|au|de|info|app)\b(?:\/[^\s?#]*)?)(?:[?#]\S*)?/gi,
+                (match, address) => address
+                    .replace(/\/$/, '')
+                    .replace(/\./g, ' dot ')
+                    .replace(/\//g, ' slash ')
+                    .replace(/-/g, ' dash ')
+                    .replace(/_/g, ' underscore ')
+                    .replace(/\s+/g, ' ')
+                    .trim()),
+    },
+    {
+        id: 'emoji',
+        label: 'Emoji',
+        apply: text => {
+            Object.keys(EMOJI_WORDS).forEach(emoji => {
+                text = text.split(emoji).join(` ${EMOJI_WORDS[emoji]} `);
+            });
+            // Anything left has no name we can say: drop it with its modifiers
+            return text.replace(/[\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}‍️]+/gu, ' ')
+                .replace(/ {2,}/g, ' ')
+                .trim();
+        },
+    },
+    {
+        id: 'currency',
+        label: 'Money',
+        apply: text => text.replace(/([$£€¥₹])\s?(\d[\d,]*)(?:\.(\d{1,2}))?\b/g, (match, symbol, whole, fraction) => {
+            const [one, many, minorOne, minorMany] = CURRENCIES[symbol];
+            const major = Number(whole.replace(/,/g, ''));
+            const minor = fraction ? Number(fraction.padEnd(2, '0')) : 0;
+            let spoken = `${numberToWords(major)} ${major === 1 ? one : many}`;
+            if (minor && minorOne) spoken += ` and ${numberToWords(minor)} ${minor === 1 ? minorOne : minorMany}`;
+            return spoken;
+        }),
+    },
+    {
+        id: 'times',
+        label: 'Times',
+        apply: text => text.replace(/\b([01]?\d|2[0-3]):([0-5]\d)(?:\s?([ap])\.?m\.?\b)?/gi, (match, h, m, meridiem) => {
+            let hour = Number(h);
+            const minute = Number(m);
+            if (!meridiem && getNormalizationLocale() === 'en-US' && hour > 12) {
+                hour -= 12;
+                meridiem = 'p';
+            }
+            // Hour 0 is midnight, "0:15" is twelve fifteen a m
+            if (hour === 0 && !meridiem) {
+                if (minute === 0) return 'midnight';
+                meridiem = 'a';
+            }
+            let spoken = numberToWords(hour === 0 ? 12 : hour);
+            if (minute === 0) {
+                spoken += meridiem ? '' : hour > 12 ? ' hundred' : " o'clock";
+            } else {
+                spoken += ' ' + (minute < 10 ? 'oh ' + ONES[minute] : numberToWords(minute));
+            }
+            if (meridiem) spoken += meridiem.toLowerCase() === 'a' ? ' a m' : ' p m';
+            return spoken;
+        }),
+    },
+    {
+        id: 'dates',
+        label: 'Dates',
+        apply: text => {
+            const locale = getNormalizationLocale();
+            return text
+                // ISO: 2024-03-04
+                .replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, y, m, d) =>
+                    dateToWords(Number(y), Number(m), Number(d), locale) || match)
+                // 3/4/2024 is March 4th in the US and 3rd April elsewhere
+                .replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/g, (match, a, b, y) => {
+                    const [month, day] = locale === 'en-US' ? [a, b] : [b, a];
+                    const year = y.length === 2 ? 2000 + Number(y) : Number(y);
+                    return dateToWords(year, Number(month), Number(day), locale) || match;
+                })
+                // March 4, 4 March
+                .replace(new RegExp(`\\b(${MONTHS.join('|')})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'g'),
+                    (match, month, day) => `${month} ${ordinalToWords(Number(day))}`)
+                .replace(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTHS.join('|')})\\b`, 'g'),
+                    (match, day, month) => `the ${ordinalToWords(Number(day))} of ${month}`)
+                // Years after words that usually introduce them
+                .replace(/\b(in|since|from|until|by|before|after|of|year|,)\s+(1[1-9]\d\d|20\d\d)\b/gi,
+                    (match, word, year) => `${word} ${yearToWords(Number(year))}`);
+        },
+    },
+    {
+        id: 'abbreviations',
+        label: 'Abbreviations and units',
+        apply: text => text
+            // Dr./St. before a name are titles, after one they're street names
+            .replace(/\b(Dr|St)\.(?=\s+[A-Z])/g, (match, abbr) => (abbr === 'Dr' ? 'Doctor' : 'Saint'))
+            .replace(/\b(Dr|St)\.(?!\s+[A-Z])/g, (match, abbr) => (abbr === 'Dr' ? 'Drive' : 'Street'))
+            .replace(/(^|[^\w.])([a-z]+(?:\.[a-z]+)*\.?)(?![\w.])/gi, (match, before, word) => {
+                const spoken = ABBREVIATIONS[word.toLowerCase()];
+                return spoken ? before + spoken : match;
+            })
+            .replace(/\b(\d+(?:\.\d+)?)\s?([a-z]+)\b/gi, (match, number, unit) => {
+                const spoken = UNITS[unit.toLowerCase()];
+                return spoken ? `${number} ${Number(number) === 1 ? spoken.replace(/s$/, '') : spoken}` : match;
+            })
+            .replace(/\bNo\.\s?(?=\d)/g, 'number ')
+            .replace(/#(?=\d)/g, 'number ')
+            .replace(/\s&\s/g, ' and '),
+    },
+    {
+        id: 'numbers',
+        label: 'Numbers',
+        apply: text => text
+            .replace(/\b\d{1,3}(?:,\d{3})+\b/g, match => numberToWords(Number(match.replace(/,/g, ''))))
+            // Phone numbers: read digit by digit, pausing between groups, when they start
+            // with + or 0 ("+44 20 7946 0958", "07700 900123") or are dash-grouped ("555-123-4567").
+            // Other runs of digits are cardinals, and two short dash groups are a range ("1990-2000").
+            .replace(/(\+\s?)?\b\d+(?:[ -]\d+)*\b/g, (match, plus) => {
+                const number = match.replace(/^\+\s?/, '');
+                if (plus || /^0\d/.test(number)) {
+                    return (plus ? 'plus ' : '') + number.split(/[ -]/).map(digitsToWords).join(', ');
+                }
+                return number.split(' ').map(chunk => {
+                    const groups = chunk.split('-');
+                    if (groups.length < 2 || groups.join('').length < 7) return chunk;
+                    const range = groups.length === 2 && groups.every(g => g.length <= 4);
+                    if (range && !(groups[0].length === 3 && groups[1].length === 4)) return chunk;
+                    return groups.map(digitsToWords).join(', ');
+                }).join(' ');
+            })
+            .replace(/\b(\d+)(?:st|nd|rd|th)\b/gi, (match, n) => ordinalToWords(Number(n)))
+            // Ranges between short numbers: "10-20", "1990 - 2000"; "3-2" (a score) stays as it is
+            .replace(/\b(\d{1,4})\s?-\s?(\d{1,4})\b/g, (match, from, to) =>
+                (Number(from) < Number(to) ? `${from} to ${to}` : match))
+            .replace(/(^|[\s(])-(\d)/g, '$1minus $2')
+            .replace(/(\d+(?:\.\d+)?)\s?%/g, '$1 percent')
+            .replace(/\b(\d+)\.(\d+)\b/g, (match, whole, fraction) =>
+                `${numberToWords(Number(whole))} point ${digitsToWords(fraction)}`)
+            // "221B" -> "two hundred twenty-one B"
+            .replace(/\b\d+(?=[a-z]*\b)/gi, (match, offset, whole) =>
+                numberToWords(Number(match)) + (/[a-z]/i.test(whole[offset + match.length] || '') ? ' ' : '')),
+    },
+];
+
+/**
+ * Expand numbers, dates, abbreviations and the like into words, using the enabled rules
+ */
+function normalizeText(text) {
+    const disabled = APP.settings.normalizationOff || [];
+    return NORMALIZATION_RULES.reduce(
+        (result, rule) => (disabled.includes(rule.id) ? result : rule.apply(result)),
+        text
+    );
+}
+
+/**
+ * The text actually sent to the voice: user respellings first, then normalization
+ */
+function prepareSpeechText(text) {
+    return normalizeText(applyLexicon(text));
+}
+
+const MARKUP_TAG = /<(\/?)(break|prosody|say-as|emphasis)\b([^>]*?)\/?>/gi;
+const BREAK_STRENGTHS = { none: 0, 'x-weak': 0.1, weak: 0.25, medium: 0.5, strong: 0.75, 'x-strong': 1.2 };
+const PROSODY_RATES = { 'x-slow': 0.6, slow: 0.8, medium: 1, fast: 1.2, 'x-fast': 1.4 };
+const MAX_BREAK_SECONDS = 10;
+const EMPHASIS_RATE = 0.85;
+
+function parseMarkupAttributes(source) {
+    const attrs = {};
+    source.replace(/([\w-]+)\s*=\s*["']([^"']*)["']/g, (match, name, value) => {
+        attrs[name.toLowerCase()] = value.trim().toLowerCase();
+    });
+    return attrs;
+}
+
+/**
+ * "500ms", "1.5s" or a strength name -> seconds
+ */
+function parseBreakTime(attrs) {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s)?$/.exec(attrs.time || '');
+    if (match) {
+        const seconds = match[2] === 'ms' ? Number(match[1]) / 1000 : Number(match[1]);
+        return Math.min(seconds, MAX_BREAK_SECONDS);
+    }
+    return BREAK_STRENGTHS[attrs.strength] ?? BREAK_STRENGTHS.medium;
+}
+
+/**
+ * "slow", "80%" or "0.8" -> speed multiplier
+ */
+function parseProsodyRate(attrs) {
+    if (attrs.rate in PROSODY_RATES) return PROSODY_RATES[attrs.rate];
+    const match = /^(\d+(?:\.\d+)?)(%)?$/.exec(attrs.rate || '');
+    if (!match) return 1;
+    const rate = match[2] ? Number(match[1]) / 100 : Number(match[1]);
+    return Math.min(Math.max(rate, 0.25), 3);
+}
+
+/**
+ * say-as text in its final spoken form: "digits" reads 555-1234 one digit at a time,
+ * "characters"/"spell-out" reads each letter
+ */
+function sayAsText(text, interpretAs) {
+    if (interpretAs === 'digits' || interpretAs === 'telephone') {
+        return text.replace(/\d+/g, digits => ' ' + digitsToWords(digits) + ',')
+            .replace(/[^\w\s,]/g, ' ')
+            .replace(/,(\s*,)+/g, ',')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s,]+|[\s,]+$/g, '');
+    }
+    if (interpretAs === 'characters' || interpretAs === 'spell-out') {
+        return [...text.replace(/\s+/g, '')]
+            .map(ch => (/\d/.test(ch) ? ONES[ch] : ch.toUpperCase()))
+            .join(', ');
+    }
+    return null;
+}
+
+/**
+ * Split text with speech markup into segments:
+ * { text, rate, raw } to synthesize (raw text skips lexicon and normalization) and { pause } in seconds.
+ * Unknown tags and stray "<" stay as text.
+ */
+function parseSpeechMarkup(text) {
+    const segments = [];
+    const rates = [1];
+    let sayAs = null;
+    let sayAsContent = '';
+    
+    const pushText = (value, raw = false) => {
+        if (!value.trim()) return;
+        const rate = rates[rates.length - 1];
+        const last = segments[segments.length - 1];
+        if (last && last.text !== undefined && last.rate === rate && last.raw === raw) {
+            last.text += value;
+        } else {
+            segments.push({ text: value, rate, raw });
+        }
+    };
+    const pushPause = (seconds) => {
+        const last = segments[segments.length - 1];
+        if (last && last.pause !== undefined) {
+            last.pause = Math.min(last.pause + seconds, MAX_BREAK_SECONDS);
+        } else if (seconds > 0) {
+            segments.push({ pause: seconds });
+        }
+    };
+    
+    let pos = 0;
+    MARKUP_TAG.lastIndex = 0;
+    let match;
+    while ((match = MARKUP_TAG.exec(text)) !== null) {
+        const before = text.slice(pos, match.index);
+        if (sayAs) sayAsContent += before; else pushText(before);
+        pos = MARKUP_TAG.lastIndex;
+        
+        const [, closing, tagName, attrSource] = match;
+        const tag = tagName.toLowerCase();
+        const attrs = parseMarkupAttributes(attrSource);
+        
+        if (tag === 'break') {
+            pushPause(parseBreakTime(attrs));
+        } else if (tag === 'say-as') {
+            if (!closing) {
+                sayAs = attrs['interpret-as'] || '';
+                sayAsContent = '';
+            } else if (sayAs !== null) {
+                const spoken = sayAsText(sayAsContent, sayAs);
+                pushText(spoken === null ? sayAsContent : ' ' + spoken + ' ', spoken !== null);
+                sayAs = null;
+            }
+        } else if (tag === 'prosody' || tag === 'emphasis') {
+            if (closing) {
+                if (rates.length > 1) rates.pop();
+                if (tag === 'emphasis') pushPause(0.15);
+            } else {
+                const rate = tag === 'emphasis' ? EMPHASIS_RATE : parseProsodyRate(attrs);
+                if (tag === 'emphasis') pushPause(0.15);
+                rates.push(rates[rates.length - 1] * rate);
+            }
+        }
+    }
+    const rest = text.slice(pos);
+    if (sayAs !== null) {
+        // Unclosed say-as: treat what follows as its content
+        const spoken = sayAsText(sayAsContent + rest, sayAs);
+        pushText(spoken === null ? sayAsContent + rest : spoken, spoken !== null);
+    } else {
+        pushText(rest);
+    }
+    
+    return segments;
+}
+
+/**
+ * Text without markup, for history-driven prediction and display
+ */
+function stripSpeechMarkup(text) {
+    return text.replace(MARKUP_TAG, ' ').replace(/\s+/g, ' ').trim();
+}
+
+const CHUNK_MAX_LENGTH = 120;  // Characters; longer sentences are split at clauses, then words
+const NON_FINAL_ABBREVIATION = /(?:^|\s)(?:mr|mrs|ms|dr|prof|st|sr|jr|mt|vs|e\.g|i\.e)\.$/i;
+// An initial at the start or after a name ("J. Smith", "John F. Kennedy"), but not "vitamin C."
+const NAME_INITIAL = /(?:^|[A-Z][\w'’-]*\s)(?:[A-Z]\.\s)*[A-Z]\.$/;
+
+/**
+ * Split text into sentences/clauses so the first words can play while the rest generates
+ */
+function splitIntoChunks(text) {
+    const sentences = [];
+    text.split(/(?<=[.!?…]+["'”’)\]]*)\s+|\n+/).forEach(part => {
+        part = part.trim();
+        if (!part) return;
+        // "Dr. Smith" and "J. Smith" are one sentence
+        const last = sentences.length - 1;
+        if (last >= 0 && (NON_FINAL_ABBREVIATION.test(sentences[last]) ||
+            (NAME_INITIAL.test(sentences[last]) && /^[A-Z]/.test(part)))) {
+            sentences[last] += ' ' + part;
+        } else {
+            sentences.push(part);
+        }
+    });
+    
+    const chunks = [];
+    sentences.forEach(sentence => {
+        if (sentence.length <= CHUNK_MAX_LENGTH) {
+            chunks.push(sentence);
+            return;
+        }
+        
+        // Long sentence: break at clause punctuation, packing clauses up to the limit
+        let current = '';
+        sentence.split(/(?<=[,;:—–])\s+/).forEach(clause => {
+            if (current && (current + ' ' + clause).length > CHUNK_MAX_LENGTH) {
+                chunks.push(current);
+                current = '';
+            }
+            current = current ? current + ' ' + clause : clause;
+            
+            // Still too long (no punctuation): break at word boundaries
+            while (current.length > CHUNK_MAX_LENGTH) {
+                let cut = current.lastIndexOf(' ', CHUNK_MAX_LENGTH);
+                if (cut <= 0) cut = CHUNK_MAX_LENGTH;
+                chunks.push(current.slice(0, cut).trim());
+                current = current.slice(cut).trim();
+            }
+        });
+        if (current) chunks.push(current);
+    });
+    
+    return chunks;
+}
+
+/**
+ * Speak text through the utterance queue.
+ * policy decides what happens while something is already being spoken:
+ * 'interrupt' stops it, 'enqueue' plays after it, 'ignore' drops the new text.
+ * historyText is what history records when it differs from what is spoken (e.g. a button's message text).
+ * raw speaks the text exactly as written (see planUtterance).
+ */
+function speak(text, { policy = 'enqueue', history = true, historyText = text, raw = false } = {}) {
+    if (!APP.tts || !text.trim()) return;
+    
+    const busy = APP.currentUtterance || APP.speechQueue.length > 0;
+    if (busy && policy === 'ignore') return;
+    if (busy && policy === 'interrupt') stopAudio();
+    
+    APP.speechError = null;
+    APP.speechQueue.push({ text, raw, history, historyText, requests: [], sources: new Set(), playing: false, stopped: false });
+    if (!APP.currentUtterance) playNextUtterance();
+    updateSpeechStatus();
+}
+
+/**
+ * Play queued utterances one after another
+ */
+async function playNextUtterance() {
+    const utterance = APP.speechQueue.shift() || null;
+    APP.currentUtterance = utterance;
+    updateSpeechStatus();
+    if (!utterance) return;
+    
+    await playUtterance(utterance);
+    if (APP.currentUtterance === utterance) playNextUtterance();
+}
+
+/**
+ * Turn utterance text into synthesis parts: { text, speed, pauseBefore } per chunk,
+ * plus any pause left over at the end. Raw text is synthesized as written: no markup,
+ * lexicon or normalization.
+ */
+function planUtterance(text, voice, { raw = false } = {}) {
+    // Prepare each segment, then rejoin neighbours at the same rate so chunks flow naturally
+    const runs = [];
+    const segments = raw ? [{ text, rate: 1, raw: true }] : parseSpeechMarkup(text);
+    segments.forEach(segment => {
+        const last = runs[runs.length - 1];
+        if (segment.pause !== undefined) {
+            runs.push({ pause: segment.pause });
+            return;
+        }
+        const spoken = segment.raw ? segment.text : prepareSpeechText(segment.text);
+        if (last && last.text !== undefined && last.rate === segment.rate) {
+            last.text += ' ' + spoken;
+        } else {
+            runs.push({ text: spoken, rate: segment.rate });
+        }
+    });
+    
+    const parts = [];
+    let pause = 0;
+    runs.forEach(run => {
+        if (run.pause !== undefined) {
+            pause += run.pause;
+            return;
+        }
+        splitIntoChunks(run.text).forEach(chunk => {
+            parts.push({ text: chunk, speed: voice.speed * run.rate, pauseBefore: pause });
+            pause = 0;
+        });
+    });
+    return { parts, pauseAfter: pause };
+}
+
+/**
+ * Prefix samples with silence; the buffer is played at playbackRate, so the silence is stretched to match
+ */
+function withSilence(samples, sampleRate, seconds, playbackRate) {
+    if (seconds <= 0) return samples;
+    const silence = Math.round(seconds * sampleRate * playbackRate);
+    const padded = new Float32Array(silence + samples.length);
+    padded.set(samples, silence);
+    return padded;
+}
+
+/**
+ * Generate and play one utterance, streaming chunk by chunk.
+ * Resolves once its audio has finished or it was stopped.
+ */
+async function playUtterance(utterance) {
+    // Queue every chunk up front; the worker generates them in order
+    const voice = getSynthesisParams();
+    const { parts, pauseAfter } = planUtterance(utterance.text, voice, { raw: utterance.raw });
+    utterance.requests = parts.map(part => synthesize({ text: part.text, sid: voice.sid, speed: part.speed }));
+    
+    let lastEnded = Promise.resolve();
+    const schedule = (samples, sampleRate) => {
+        const source = playAudio(samples, sampleRate, voice.playbackRate);
+        utterance.sources.add(source);
+        lastEnded = new Promise(resolve => {
+            source.addEventListener('ended', () => {
+                utterance.sources.delete(source);
+                if (APP.currentSource === source) APP.currentSource = null;
+                resolve();
+            });
+        });
+    };
+    
+    try {
+        for (let i = 0; i < utterance.requests.length; i++) {
+            const audio = await utterance.requests[i].promise;
+            if (utterance.stopped) return;
+            const duration = audio.samples.length / audio.sampleRate;
+            console.log(`[TTS] Chunk ${i + 1}/${parts.length}: ${duration.toFixed(2)}s audio in ${audio.elapsed.toFixed(0)}ms (${parts[i].text.substring(0, 30)}...)`);
+            
+            schedule(withSilence(audio.samples, audio.sampleRate, parts[i].pauseBefore, voice.playbackRate), audio.sampleRate);
+            
+            if (i === 0) {
+                utterance.playing = true;
+                if (utterance.history) addToHistory(utterance.historyText, utterance.text);
+                updateSpeechStatus();
+            }
+        }
+        if (pauseAfter > 0 && APP.tts) {
+            schedule(withSilence(new Float32Array(0), APP.tts.sampleRate, pauseAfter, voice.playbackRate), APP.tts.sampleRate);
+        }
+        await lastEnded;
+    } catch (error) {
+        utterance.requests.forEach(req => ttsCancel(req.id));
+        utterance.sources.forEach(source => {
+            try { source.stop(); } catch (e) {}
+        });
+        if (error.name === 'AbortError') return;
+        console.error('Generation failed:', error);
+        APP.speechError = error.message;
+    }
+}
+
+/**
+ * Generation parameters for the current voice settings.
+ * Pitch is shifted by playing faster/slower and asking the model for the opposite tempo change.
+ */
+function getSynthesisParams() {
+    const vs = APP.voiceSettings || DEFAULT_VOICE_SETTINGS;
+    const playbackRate = Math.pow(2, (vs.pitch || 0) / 12);
+    return { sid: vs.sid, speed: vs.speed / playbackRate, playbackRate };
+}
+
+/**
+ * The shared AudioContext, created on first use at the voice's sample rate
+ */
+function getAudioContext(sampleRate) {
+    if (!APP.audioCtx) {
+        APP.audioCtx = new (window.AudioContext || window.webkitAudioContext)({ sampleRate });
+        APP.gainNode = APP.audioCtx.createGain();
+        APP.gainNode.connect(APP.audioCtx.destination);
+    }
+    if (APP.audioCtx.state === 'suspended') APP.audioCtx.resume();
+    return APP.audioCtx;
+}
+
+/**
+ * Play audio, scheduled straight after anything already queued so chunks are gap-free
+ */
+function playAudio(samples, sampleRate, playbackRate = 1) {
+    getAudioContext(sampleRate);
+    APP.gainNode.gain.value = APP.voiceSettings ? APP.voiceSettings.volume : 1;
+    
+    const buffer = APP.audioCtx.createBuffer(1, samples.length, sampleRate);
+    buffer.getChannelData(0).set(samples);
+    
+    const source = APP.audioCtx.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = playbackRate;
+    source.connect(APP.gainNode);
+    
+    const startAt = Math.max(APP.audioCtx.currentTime, APP.playbackEnd);
+    APP.playbackEnd = startAt + buffer.duration / playbackRate;
+    source.start(startAt);
+    APP.currentSource = source;
+    return source;
+}
+
+/**
+ * Show what the speech queue is doing in the status bar
+ */
+function updateSpeechStatus() {
+    stopBtn.disabled = !APP.currentUtterance;
+    if (!APP.tts) return;
+    
+    if (!APP.currentUtterance) {
+        statusText.textContent = APP.speechError ? 'Error: ' + APP.speechError : 'Ready';
+        return;
+    }
+    
+    const queued = APP.speechQueue.length;
+    const suffix = queued > 0 ? ` (${queued} queued)` : '';
+    statusText.textContent = (APP.currentUtterance.playing ? 'Speaking...' : 'Generating...') + suffix;
+}
+
+/**
+ * Generate the whole text as one buffer, as it would be heard: pauses, rate changes,
+ * pitch (resampled) and volume applied
+ */
+async function renderSpeechAudio(text) {
+    const voice = getSynthesisParams();
+    const { parts, pauseAfter } = planUtterance(text, voice);
+    const sampleRate = APP.tts.sampleRate;
+    
+    const pieces = [];
+    for (const part of parts) {
+        const audio = await synthesize({ text: part.text, sid: voice.sid, speed: part.speed }).promise;
+        pieces.push(withSilence(audio.samples, sampleRate, part.pauseBefore, voice.playbackRate));
+    }
+    pieces.push(withSilence(new Float32Array(0), sampleRate, pauseAfter, voice.playbackRate));
+    
+    const length = pieces.reduce((n, piece) => n + piece.length, 0);
+    let samples = new Float32Array(length);
+    let offset = 0;
+    pieces.forEach(piece => {
+        samples.set(piece, offset);
+        offset += piece.length;
+    });
+    
+    if (voice.playbackRate !== 1) samples = resampleLinear(samples, voice.playbackRate);
+    const gain = APP.voiceSettings ? APP.voiceSettings.volume : 1;
+    if (gain !== 1) samples = samples.map(s => Math.max(-1, Math.min(1, s * gain)));
+    return { samples, sampleRate };
+}
+
+/**
+ * Speed samples up by rate (as playbackRate does), keeping the sample rate
+ */
+function resampleLinear(samples, rate) {
+    const out = new Float32Array(Math.floor(samples.length / rate));
+    for (let i = 0; i < out.length; i++) {
+        const pos = i * rate;
+        const idx = Math.floor(pos);
+        const next = Math.min(idx + 1, samples.length - 1);
+        out[i] = samples[idx] + (samples[next] - samples[idx]) * (pos - idx);
+    }
+    return out;
+}
+
+/**
+ * 16-bit mono PCM WAV
+ */
+function encodeWAV(samples, sampleRate) {
+    const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+    
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);           // fmt chunk size
+    view.setUint16(20, 1, true);            // PCM
+    view.setUint16(22, 1, true);            // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);  // Byte rate
+    view.setUint16(32, 2, true);            // Block align
+    view.setUint16(34, 16, true);           // Bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+    
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+    }
+    return new Blob([view], { type: 'audio/wav' });
+}
+
+/**
+ * Best compressed format this browser can record, or null
+ */
+function getCompressedAudioType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    const types = [
+        ['audio/ogg;codecs=opus', 'ogg'],
+        ['audio/webm;codecs=opus', 'webm'],
+        ['audio/mp4', 'm4a'],
+    ];
+    const found = types.find(([type]) => MediaRecorder.isTypeSupported(type));
+    return found ? { type: found[0], extension: found[1] } : null;
+}
+
+const COMPRESS_SLACK_MS = 5000;  // Extra time allowed for starting and finishing a recording
+
+/**
+ * Encode with MediaRecorder. Browsers can only record in real time, so this takes as long as the audio.
+ */
+async function encodeCompressed(samples, sampleRate) {
+    const format = getCompressedAudioType();
+    if (!format) throw new Error('This browser cannot record compressed audio');
+    
+    // Recording plays the audio in real time; allow that plus some slack before giving up
+    const limit = (samples.length / sampleRate) * 1000 + COMPRESS_SLACK_MS;
+    const ctx = new AudioContext({ sampleRate });
+    let timer = null;
+    try {
+        // Outside a user gesture the context can start suspended and would never play
+        if (ctx.state !== 'running') {
+            await Promise.race([ctx.resume(), new Promise(resolve => setTimeout(resolve, COMPRESS_SLACK_MS))]);
+        }
+        if (ctx.state !== 'running') throw new Error('The browser blocked audio playback needed for compressing; try WAV');
+        
+        const buffer = ctx.createBuffer(1, samples.length, sampleRate);
+        buffer.getChannelData(0).set(samples);
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        const destination = ctx.createMediaStreamDestination();
+        source.connect(destination);  // Not to the speakers
+        
+        const recorder = new MediaRecorder(destination.stream, { mimeType: format.type });
+        const chunks = [];
+        recorder.ondataavailable = (e) => chunks.push(e.data);
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (e) => reject(e.error || new Error('Recording failed'));
+            timer = setTimeout(() => reject(new Error('Compressing the audio timed out; try WAV')), limit);
+        });
+        
+        recorder.start();
+        source.onended = () => recorder.stop();
+        source.start();
+        try {
+            await stopped;
+        } finally {
+            source.onended = null;
+            if (recorder.state !== 'inactive') recorder.stop();
+        }
+        return new Blob(chunks, { type: format.type.split(';')[0] });
+    } finally {
+        clearTimeout(timer);
+        ctx.close();
+    }
+}
+
+/**
+ * Render text and encode it in the chosen format ('wav' or 'compressed')
+ */
+async function createSpeechFile(text, format) {
+    const { samples, sampleRate } = await renderSpeechAudio(text);
+    const name = slugify(stripSpeechMarkup(text).slice(0, 40)) || 'speech';
+    if (format === 'compressed') {
+        const blob = await encodeCompressed(samples, sampleRate);
+        return new File([blob], `${name}.${getCompressedAudioType().extension}`, { type: blob.type });
+    }
+    return new File([encodeWAV(samples, sampleRate)], `${name}.wav`, { type: 'audio/wav' });
+}
+
+function canShareFiles() {
+    return !!(navigator.canShare && navigator.canShare({ files: [new File([''], 'test.wav', { type: 'audio/wav' })] }));
+}
+
+/**
+ * Ask how to save the audio for text
+ */
+function openAudioExportModal(text) {
+    if (!APP.tts || !text.trim()) return;
+    audioExportText = text;
+    audioExportPreview.textContent = stripSpeechMarkup(text);
+    audioFormatSelect.querySelector('option[value="compressed"]').disabled = !getCompressedAudioType();
+    if (!getCompressedAudioType()) audioFormatSelect.value = 'wav';
+    resetAudioShare();
+    audioExportModal.classList.remove('hidden');
+}
+
+function closeAudioExportModal() {
+    audioExportModal.classList.add('hidden');
+    audioExportText = null;
+    resetAudioShare();
+}
+
+function resetAudioShare() {
+    audioExportFile = null;
+    audioShareBtn.textContent = 'Share';
+    audioShareBtn.disabled = !canShareFiles();
+}
+
+/**
+ * Create the file and download or share it.
+ * Sharing must start inside a tap, and rendering takes longer than a tap stays valid,
+ * so the first Share tap renders the file and a second one opens the share sheet.
+ */
+async function exportSpeechAudio(share) {
+    const text = audioExportText;
+    const format = audioFormatSelect.value;
+    if (!text) return;
+    
+    if (share && audioExportFile && audioExportFile.text === text && audioExportFile.format === format) {
+        const { file } = audioExportFile;
+        closeAudioExportModal();
+        navigator.share({ files: [file], title: stripSpeechMarkup(text) }).catch(error => {
+            if (error.name !== 'AbortError') {
+                console.error('Audio share failed:', error);
+                alert('Sharing audio failed: ' + error.message);
+            }
+        });
+        return;
+    }
+    
+    statusText.textContent = 'Preparing audio...';
+    audioShareBtn.disabled = true;
+    try {
+        const file = await createSpeechFile(text, format);
+        if (audioExportText !== text || audioFormatSelect.value !== format) return;  // Dialog closed or changed meanwhile
+        if (share) {
+            audioExportFile = { text, format, file };
+            audioShareBtn.textContent = 'Share now';
+            audioShareBtn.disabled = false;
+        } else {
+            closeAudioExportModal();
+            downloadBlob(file, file.name);
+        }
+    } catch (error) {
+        console.error('Audio export failed:', error);
+        alert('Saving audio failed: ' + error.message);
+        if (audioExportText === text) resetAudioShare();
+    } finally {
+        updateSpeechStatus();
+    }
+}
+
+/**
+ * Zip the audio of every phrase in the shown group
+ */
+async function exportGroupAudio() {
+    if (!APP.tts) return;
+    const group = getGroup(getCurrentGroupId());
+    const phrases = group.items.filter(item => item.type === 'phrase');
+    if (phrases.length === 0) {
+        alert('This group has no phrases.');
+        return;
+    }
+    
+    const zip = new JSZip();
+    const digits = String(phrases.length).length;
+    try {
+        for (let i = 0; i < phrases.length; i++) {
+            statusText.textContent = `Preparing audio ${i + 1}/${phrases.length}...`;
+            const { samples, sampleRate } = await renderSpeechAudio(getSpeakText(phrases[i]));
+            const name = slugify(phrases[i].text.slice(0, 40)) || 'phrase';
+            zip.file(`${String(i + 1).padStart(digits, '0')}-${name}.wav`, encodeWAV(samples, sampleRate));
+        }
+        const blob = await zip.generateAsync({ type: 'blob' });
+        downloadBlob(blob, `${slugify(group.name)}-audio.zip`);
+    } catch (error) {
+        console.error('Group audio export failed:', error);
+        alert('Audio export failed: ' + error.message);
+    }
+    updateSpeechStatus();
+}
+
+const HISTORY_MAX_USES = 200;  // Timestamps kept per entry for date filtering
+
+/**
+ * Move history from localStorage (and usage counts from prefs) into the history store
+ */
+async function migrateLegacyHistory() {
+    const legacyKeys = ['htmu_history', 'libby_history'];
+    const texts = [];
+    legacyKeys.forEach(key => {
+        try {
+            JSON.parse(localStorage.getItem(key) || '[]').forEach(text => {
+                if (typeof text === 'string' && !texts.includes(text)) texts.push(text);
+            });
+        } catch (error) {
+            console.warn('[History] Ignoring unreadable', key);
+        }
+    });
+    const usage = new Map((await loadPref('usage')) || []);
+    if (texts.length === 0 && usage.size === 0) return;
+    
+    // Legacy lists are most recent first
+    const now = Date.now();
+    const entries = new Map();
+    texts.forEach((text, idx) => {
+        const lastUsed = now - idx * 1000;
+        entries.set(text, { text, count: 1, firstUsed: lastUsed, lastUsed, pinned: false, uses: [lastUsed] });
+    });
+    usage.forEach((u, text) => {
+        const entry = entries.get(text) ||
+            { text, count: 0, firstUsed: u.lastUsed, lastUsed: u.lastUsed, pinned: false, uses: [u.lastUsed] };
+        entry.count = Math.max(entry.count, u.count);
+        entry.lastUsed = Math.max(entry.lastUsed, u.lastUsed);
+        entries.set(text, entry);
+    });
+    
+    await putRecords(HISTORY_STORE, [...entries.values()]);
+    legacyKeys.forEach(key => localStorage.removeItem(key));
+    await deletePref('usage');
+    console.log(`[History] Migrated ${entries.size} entries to IndexedDB`);
+}
+
+/**
+ * Load history, dropping unpinned entries older than the retention period
+ */
+async function loadHistory() {
+    let entries = [];
+    if (APP.db) {
+        try {
+            await migrateLegacyHistory();
+            entries = await getAllRecords(HISTORY_STORE);
+            
+            const days = APP.settings.historyRetentionDays;
+            if (days > 0) {
+                const cutoff = Date.now() - days * 86400000;
+                const expired = entries.filter(e => !e.pinned && e.lastUsed < cutoff);
+                if (expired.length > 0) {
+                    await deleteRecords(HISTORY_STORE, expired.map(e => e.text));
+                    entries = entries.filter(e => !expired.includes(e));
+                    console.log(`[History] Pruned ${expired.length} old entries`);
+                }
+            }
+        } catch (error) {
+            console.warn('[History] Failed to load history:', error);
+        }
+    }
+    APP.history = entries.sort((a, b) => b.lastUsed - a.lastUsed);
+    APP.historyByText = new Map(entries.map(e => [e.text, e]));
+}
+
+function saveHistoryEntry(entry) {
+    if (!APP.db) return;
+    putRecords(HISTORY_STORE, [entry]).catch(error => {
+        console.error('[History] Failed to save entry:', error);
+    });
+}
+
+/**
+ * Add to history, keyed by the text shown and matched by typeahead (speech markup removed).
+ * spokenText is kept on the entry when it differs, so replaying says the same thing.
+ */
+function addToHistory(text, spokenText = text) {
+    text = stripSpeechMarkup(text);
+    if (!text) return;
+    const now = Date.now();
+    let entry = APP.historyByText.get(text);
+    if (!entry) {
+        entry = { text, count: 0, firstUsed: now, lastUsed: now, pinned: false, uses: [] };
+        APP.historyByText.set(text, entry);
+    }
+    entry.speakText = spokenText !== text ? spokenText : null;
+    entry.count++;
+    entry.lastUsed = now;
+    entry.uses.push(now);
+    if (entry.uses.length > HISTORY_MAX_USES) entry.uses.splice(0, entry.uses.length - HISTORY_MAX_USES);
+    
+    APP.history = [entry, ...APP.history.filter(e => e !== entry)];
+    APP.allPhrases = getAllPhrases(APP.phrases);
+    saveHistoryEntry(entry);
+    learnPrediction(text);
+}
+
+function toggleHistoryPin(entry) {
+    entry.pinned = !entry.pinned;
+    saveHistoryEntry(entry);
+    renderHistoryEntries();
+}
+
+function removeHistoryEntry(entry) {
+    APP.history = APP.history.filter(e => e !== entry);
+    APP.historyByText.delete(entry.text);
+    APP.allPhrases = getAllPhrases(APP.phrases);
+    rebuildLearnedPredictions();
+    if (APP.db) {
+        deleteRecords(HISTORY_STORE, [entry.text]).catch(error => {
+            console.error('[History] Failed to delete entry:', error);
+        });
+    }
+    renderHistoryEntries();
+}
+
+/**
+ * Add a history entry as a phrase on the board group last shown
+ */
+function addHistoryToBoard(entry) {
+    const group = getGroup(getCurrentGroupId());
+    if (group.items.some(it => it.type === 'phrase' && getInsertText(it) === entry.text)) {
+        statusText.textContent = `Already in ${group.name}`;
+        return;
+    }
+    group.items.push({ type: 'phrase', text: entry.text, speakText: entry.speakText || null });
+    APP.allPhrases = getAllPhrases(APP.phrases);
+    rebuildBoardPredictions();
+    savePhrasesToStorage();
+    statusText.textContent = `Added to ${group.name}`;
+}
+
+/**
+ * "5 min ago", "3 days ago"...
+ */
+function formatTimeAgo(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.round(hours / 24);
+    if (days < 30) return `${days} day${days === 1 ? '' : 's'} ago`;
+    return new Date(timestamp).toLocaleDateString();
+}
+
+/**
+ * Render history: search and date filter in the breadcrumb bar, entries in the grid
+ */
+function renderHistory() {
+    breadcrumb.innerHTML = '';
+    
+    const title = document.createElement('span');
+    title.className = 'breadcrumb-item';
+    title.textContent = '📜 History';
+    
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.className = 'history-search';
+    search.id = 'historySearch';
+    search.placeholder = 'Search history...';
+    search.oninput = renderHistoryEntries;
+    
+    const range = document.createElement('select');
+    range.className = 'history-filter';
+    range.id = 'historyRange';
+    [['all', 'All time'], ['1', 'Today'], ['7', 'Last 7 days'], ['30', 'Last 30 days'], ['pinned', 'Pinned']]
+        .forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            range.appendChild(option);
+        });
+    range.onchange = renderHistoryEntries;
+    
+    breadcrumb.append(title, search, range);
+    renderHistoryEntries();
+}
+
+/**
+ * Render the history entries that match the search and date filter
+ */
+function renderHistoryEntries() {
+    phraseGrid.innerHTML = '';
+    const search = document.getElementById('historySearch');
+    const range = document.getElementById('historyRange');
+    if (!search || !range) return;
+    
+    const query = search.value.trim().toLowerCase();
+    let since = 0;
+    if (range.value !== 'all' && range.value !== 'pinned') {
+        const start = new Date();
+        start.setHours(0, 0, 0, 0);
+        since = start.getTime() - (Number(range.value) - 1) * 86400000;
+    }
+    
+    const entries = APP.history
+        .filter(e => range.value !== 'pinned' || e.pinned)
+        .filter(e => !since || e.uses.some(t => t >= since))
+        .filter(e => !query || e.text.toLowerCase().includes(query))
+        .sort((a, b) => (b.pinned - a.pinned) || (b.lastUsed - a.lastUsed));
+    
+    const stats = document.createElement('div');
+    stats.className = 'history-stats';
+    const totalUses = APP.history.reduce((n, e) => n + e.count, 0);
+    const top = APP.history.reduce((best, e) => (!best || e.count > best.count ? e : best), null);
+    stats.textContent = `${APP.history.length} phrases · ${totalUses} times spoken` +
+        (top ? ` · most used: "${top.text}" (${top.count}×)` : '');
+    phraseGrid.appendChild(stats);
+    
+    if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.style.cssText = 'grid-column: 1/-1; text-align: center; color: #999; padding: 40px;';
+        empty.textContent = APP.history.length === 0 ? 'No history yet' : 'Nothing matches';
+        phraseGrid.appendChild(empty);
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const card = document.createElement('div');
+        card.className = 'history-item' + (entry.pinned ? ' pinned' : '');
+        
+        const btn = document.createElement('button');
+        btn.className = 'phrase-btn';
+        const label = document.createElement('span');
+        label.className = 'text';
+        label.textContent = entry.text;
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        meta.textContent = `${entry.count}× · ${formatTimeAgo(entry.lastUsed)}`;
+        btn.append(label, meta);
+        btn.onclick = () => { appendPhrase({ text: entry.text, speakText: entry.speakText }); };
+        
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+        [
+            [entry.pinned ? '📌' : '📍', entry.pinned ? 'Unpin' : 'Pin', () => toggleHistoryPin(entry)],
+            ['➕', 'Add to board', () => addHistoryToBoard(entry)],
+            ['💾', 'Save audio', () => openAudioExportModal(entry.speakText || entry.text)],
+            ['✕', 'Remove from history', () => removeHistoryEntry(entry)],
+        ].forEach(([icon, title, onClick]) => {
+            const action = document.createElement('button');
+            action.className = 'history-action';
+            action.textContent = icon;
+            action.title = title;
+            action.onclick = onClick;
+            actions.appendChild(action);
+        });
+        
+        card.append(btn, actions);
+        phraseGrid.appendChild(card);
+    });
+}
+
+// Event listeners
+
+// Upload area
+uploadArea.onclick = () => voiceFileInput.click();
+
+uploadArea.ondragover = (e) => {
+    e.preventDefault();
+    uploadArea.classList.add('dragging');
+};
+
+uploadArea.ondragleave = () => {
+    uploadArea.classList.remove('dragging');
+};
+
+uploadArea.ondrop = (e) => {
+    e.preventDefault();
+    uploadArea.classList.remove('dragging');
+    const file = e.dataTransfer.files[0];
+    if (file && file.name.endsWith('.htmuvoice')) {
+        loadVoiceFile(file);
+    } else {
+        alert('Please drop a .htmuvoice file');
+    }
+};
+
+voiceFileInput.onchange = (e) => {
+    const file = e.target.files[0];
+    if (file) loadVoiceFile(file);
+};
+
+// Speak button
+speakBtn.onclick = () => {
+    const text = textInput.value.trim();
+    if (text) speak(text, { policy: 'interrupt' });
+};
+
+stopBtn.onclick = () => {
+    stopAudio();
+};
+
+saveAudioBtn.onclick = () => {
+    openAudioExportModal(textInput.value.trim());
+};
+
+document.getElementById('audioDownloadBtn').onclick = () => exportSpeechAudio(false);
+audioShareBtn.onclick = () => exportSpeechAudio(true);
+audioFormatSelect.onchange = resetAudioShare;
+document.getElementById('audioExportCancel').onclick = closeAudioExportModal;
+
+clearBtn.onclick = () => {
+    textInput.value = '';
+    textInput.focus();
+    updatePredictions();
+    // Stop any currently playing audio
+    stopAudio();
+};
+
+/**
+ * Stop playback and pending generation, and drop queued utterances
+ */
+function stopAudio() {
+    APP.speechQueue = [];
+    const utterance = APP.currentUtterance;
+    APP.currentUtterance = null;
+    
+    if (utterance) {
+        utterance.stopped = true;
+        utterance.requests.forEach(req => ttsCancel(req.id));
+        utterance.sources.forEach(source => {
+            try { source.stop(); } catch (e) {}
+        });
+    }
+    if (APP.currentSource) {
+        try { 
+            APP.currentSource.stop(); 
+        } catch(e) {}
+        APP.currentSource = null;
+    }
+    stopScanCue();
+    APP.playbackEnd = 0;
+    updateSpeechStatus();
+}
+
+textInput.addEventListener('keydown', (e) => {
+    const suggesting = suggestions.classList.contains('active');
+    if (suggesting && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+        e.preventDefault();
+        moveSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (suggesting && e.key === 'Escape') {
+        e.preventDefault();
+        hideSuggestions();
+    } else if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        const selected = suggesting && suggestions.querySelectorAll('.suggestion-item')[suggestionIndex];
+        if (selected) {
+            chooseSuggestion(selected.dataset.text);
+            return;
+        }
+        const text = textInput.value.trim();
+        if (text) speak(text, { policy: 'interrupt' });
+    }
+});
+
+textInput.addEventListener('input', () => {
+    textInput.style.height = 'auto';
+    textInput.style.height = Math.min(textInput.scrollHeight, 100) + 'px';
+    showSuggestions(textInput.value.trim());
+    updatePredictions();
+});
+
+// Cursor moves change what's predicted
+textInput.addEventListener('click', updatePredictions);
+textInput.addEventListener('keyup', (e) => {
+    if (e.key.startsWith('Arrow') || e.key === 'Home' || e.key === 'End') updatePredictions();
+});
+
+textInput.addEventListener('blur', () => {
+    setTimeout(hideSuggestions, 200);
+});
+
+suggestions.addEventListener('click', (e) => {
+    const item = e.target.closest('.suggestion-item');
+    if (item) chooseSuggestion(item.dataset.text);
+});
+
+btnPhrases.onclick = () => {
+    btnPhrases.classList.add('active');
+    btnHistory.classList.remove('active');
+    renderPhrases();
+};
+
+btnHistory.onclick = () => {
+    btnHistory.classList.add('active');
+    btnPhrases.classList.remove('active');
+    APP.editMode = false;
+    btnEdit.classList.remove('active');
+    renderHistory();
+};
+
+btnEdit.onclick = () => {
+    if (!APP.phrases) return;
+    btnPhrases.classList.add('active');
+    btnHistory.classList.remove('active');
+    setEditMode(!APP.editMode);
+};
+
+/**
+ * Open settings, showing the current values
+ */
+function openSettingsModal() {
+    tapPolicySelect.value = APP.settings.tapPolicy;
+    wordPredictionToggle.checked = APP.settings.wordPrediction;
+    historyRetentionSelect.value = APP.settings.historyRetentionDays;
+    renderNormalizationSettings();
+    renderScanSettings();
+    renderDwellSettings();
+    renderTapSettings();
+    symbolLabelSelect.value = APP.settings.symbolLabel;
+    renderAppearanceSettings();
+    audioCacheSelect.value = APP.settings.audioCacheMB;
+    prerenderToggle.checked = APP.settings.prerenderBoard;
+    updateAudioCacheInfo();
+    renderVoiceSettings();
+    settingsModal.classList.remove('hidden');
+}
+
+function closeSettingsModal() {
+    settingsModal.classList.add('hidden');
+}
+
+/**
+ * Fill the voice section from the loaded voice's settings
+ */
+function renderVoiceSettings() {
+    const vs = APP.voiceSettings || DEFAULT_VOICE_SETTINGS;
+    const numSpeakers = APP.tts ? APP.tts.numSpeakers : 1;
+    
+    voiceSettingsTitle.textContent = APP.voiceName ? `Voice: ${APP.voiceName}` : 'Voice';
+    speakerSelect.innerHTML = '';
+    for (let sid = 0; sid < numSpeakers; sid++) {
+        const option = document.createElement('option');
+        option.value = sid;
+        const names = APP.voiceManifest ? APP.voiceManifest.speakerNames : [];
+        option.textContent = names[sid] ? `${sid}: ${names[sid]}` : `Speaker ${sid}`;
+        speakerSelect.appendChild(option);
+    }
+    speakerSelect.value = vs.sid;
+    speakerSelect.disabled = numSpeakers <= 1;
+    
+    voiceSpeedInput.value = vs.speed;
+    voiceVolumeInput.value = vs.volume;
+    voicePitchInput.value = vs.pitch;
+    updateVoiceSettingLabels();
+}
+
+function updateVoiceSettingLabels() {
+    document.getElementById('voiceSpeedValue').textContent = `${Number(voiceSpeedInput.value).toFixed(2)}×`;
+    document.getElementById('voiceVolumeValue').textContent = `${Math.round(voiceVolumeInput.value * 100)}%`;
+    const pitch = Number(voicePitchInput.value);
+    document.getElementById('voicePitchValue').textContent = pitch > 0 ? `+${pitch}` : `${pitch}`;
+}
+
+/**
+ * Apply and persist a change from the voice section
+ */
+function onVoiceSettingChange() {
+    if (!APP.voiceSettings) return;
+    APP.voiceSettings.sid = Number(speakerSelect.value) || 0;
+    APP.voiceSettings.speed = Number(voiceSpeedInput.value);
+    APP.voiceSettings.volume = Number(voiceVolumeInput.value);
+    APP.voiceSettings.pitch = Number(voicePitchInput.value);
+    if (APP.gainNode) APP.gainNode.gain.value = APP.voiceSettings.volume;
+    updateVoiceSettingLabels();
+    saveVoiceSettings();
+}
+
+btnSettings.onclick = openSettingsModal;
+settingsClose.onclick = closeSettingsModal;
+settingsModal.onclick = (e) => {
+    if (e.target === settingsModal) closeSettingsModal();
+};
+
+tapPolicySelect.onchange = () => {
+    APP.settings.tapPolicy = tapPolicySelect.value;
+    saveSettings();
+};
+
+// Tappable examples for the preview
+const NORMALIZATION_EXAMPLES = [
+    'Dr. Lee at 3:30pm, $12.50',
+    'Call 555-1234',
+    '07700 900123',
+    'Open 0:15 to 9:00, pages 10-20',
+];
+
+/**
+ * One checkbox per normalization rule, plus the preview
+ */
+function renderNormalizationSettings() {
+    normalizationRules.innerHTML = '';
+    NORMALIZATION_RULES.forEach(rule => {
+        const label = document.createElement('label');
+        label.className = 'settings-check';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !APP.settings.normalizationOff.includes(rule.id);
+        checkbox.onchange = () => {
+            const off = APP.settings.normalizationOff.filter(id => id !== rule.id);
+            if (!checkbox.checked) off.push(rule.id);
+            APP.settings.normalizationOff = off;
+            saveSettings();
+            updateNormalizationPreview();
+        };
+        label.append(checkbox, rule.label);
+        normalizationRules.appendChild(label);
+    });
+    normalizationLocaleSelect.value = APP.settings.normalizationLocale;
+    const examples = document.getElementById('normalizationExamples');
+    examples.innerHTML = '';
+    NORMALIZATION_EXAMPLES.forEach(example => {
+        const btn = document.createElement('button');
+        btn.className = 'modal-btn cancel';
+        btn.textContent = example;
+        btn.onclick = () => {
+            normalizationPreviewInput.value = example;
+            updateNormalizationPreview();
+        };
+        examples.appendChild(btn);
+    });
+    if (!normalizationPreviewInput.value) normalizationPreviewInput.value = textInput.value;
+    updateNormalizationPreview();
+}
+
+function updateNormalizationPreview() {
+    const text = normalizationPreviewInput.value.trim();
+    const { parts, pauseAfter } = planUtterance(text, { speed: 1 });
+    normalizationPreviewOutput.textContent = parts.map(part => {
+        const pause = part.pauseBefore > 0 ? `[pause ${part.pauseBefore}s] ` : '';
+        const rate = part.speed !== 1 ? `[${part.speed.toFixed(2)}×] ` : '';
+        return pause + rate + part.text;
+    }).join(' ') + (pauseAfter > 0 ? ` [pause ${pauseAfter}s]` : '');
+}
+
+normalizationLocaleSelect.onchange = () => {
+    APP.settings.normalizationLocale = normalizationLocaleSelect.value;
+    saveSettings();
+    updateNormalizationPreview();
+};
+normalizationPreviewInput.oninput = updateNormalizationPreview;
+document.getElementById('normalizationPreviewBtn').onclick = () => {
+    const text = normalizationPreviewInput.value.trim();
+    if (text) speak(text, { policy: 'interrupt', history: false });
+};
+
+function updateAudioCacheInfo() {
+    const mb = (APP.audioCacheSize / 1048576).toFixed(1);
+    audioCacheInfo.textContent = `${APP.audioCache.size} clips, ${mb} MB used`;
+}
+
+audioCacheSelect.onchange = async () => {
+    APP.settings.audioCacheMB = Number(audioCacheSelect.value);
+    saveSettings();
+    try {
+        if (APP.settings.audioCacheMB <= 0) await clearAudioCache(); else await trimAudioCache();
+    } catch (error) {
+        console.error('[Cache] Failed to resize cache:', error);
+    }
+    updateAudioCacheInfo();
+};
+
+prerenderToggle.onchange = () => {
+    APP.settings.prerenderBoard = prerenderToggle.checked;
+    saveSettings();
+    prerenderBoard();
+};
+
+document.getElementById('audioCacheClearBtn').onclick = async () => {
+    APP.prerenderToken++;
+    try {
+        await clearAudioCache();
+    } catch (error) {
+        alert('Failed to clear cache: ' + error.message);
+    }
+    updateAudioCacheInfo();
+};
+
+function renderScanSettings() {
+    scanModeSelect.value = APP.settings.scanMode;
+    scanSpeedInput.value = APP.settings.scanSpeed;
+    document.getElementById('scanSpeedValue').textContent = `${Number(APP.settings.scanSpeed).toFixed(1)} s`;
+    scanCuesSelect.value = APP.settings.scanCues;
+    document.querySelectorAll('[data-scan-key]').forEach(btn => {
+        const setting = btn.dataset.scanKey;
+        btn.textContent = scanKeyCapture === setting ? 'Press a key…' : describeKey(APP.settings[setting]);
+    });
+}
+
+scanModeSelect.onchange = () => {
+    APP.settings.scanMode = scanModeSelect.value;
+    saveSettings();
+    applyScanMode();
+};
+
+scanSpeedInput.oninput = () => {
+    APP.settings.scanSpeed = Number(scanSpeedInput.value);
+    saveSettings();
+    renderScanSettings();
+    resetScanTimer();
+};
+
+scanCuesSelect.onchange = () => {
+    APP.settings.scanCues = scanCuesSelect.value;
+    saveSettings();
+};
+
+// Tap a key button, then press the switch to assign it
+document.querySelectorAll('[data-scan-key]').forEach(btn => {
+    btn.onclick = () => {
+        scanKeyCapture = btn.dataset.scanKey;
+        renderScanSettings();
+    };
+});
+
+document.addEventListener('keydown', (e) => {
+    if (!scanKeyCapture) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.key !== 'Escape') {
+        // One key per action
+        ['scanSelectKey', 'scanNextKey', 'scanBackKey'].forEach(setting => {
+            if (APP.settings[setting] === e.key) APP.settings[setting] = '';
+        });
+        APP.settings[scanKeyCapture] = e.key;
+        saveSettings();
+    }
+    scanKeyCapture = null;
+    renderScanSettings();
+}, true);
+
+function renderDwellSettings() {
+    dwellToggle.checked = APP.settings.dwellEnabled;
+    dwellTimeInput.value = APP.settings.dwellTime / 1000;
+    dwellRearmInput.value = APP.settings.dwellRearm / 1000;
+    document.getElementById('dwellTimeValue').textContent = `${(APP.settings.dwellTime / 1000).toFixed(1)} s`;
+    document.getElementById('dwellRearmValue').textContent = `${(APP.settings.dwellRearm / 1000).toFixed(1)} s`;
+    longPressEditToggle.checked = APP.settings.longPressEdit;
+}
+
+function onDwellSettingChange() {
+    APP.settings.dwellEnabled = dwellToggle.checked;
+    APP.settings.dwellTime = Math.round(Number(dwellTimeInput.value) * 1000);
+    APP.settings.dwellRearm = Math.round(Number(dwellRearmInput.value) * 1000);
+    APP.settings.longPressEdit = longPressEditToggle.checked;
+    if (!APP.settings.dwellEnabled) cancelDwell();
+    saveSettings();
+    renderDwellSettings();
+}
+
+dwellToggle.onchange = onDwellSettingChange;
+dwellTimeInput.oninput = onDwellSettingChange;
+dwellRearmInput.oninput = onDwellSettingChange;
+longPressEditToggle.onchange = onDwellSettingChange;
+
+function renderTapSettings() {
+    tapMinHoldInput.value = APP.settings.tapMinHold / 1000;
+    tapRepeatIgnoreInput.value = APP.settings.tapRepeatIgnore / 1000;
+    document.getElementById('tapMinHoldValue').textContent = `${(APP.settings.tapMinHold / 1000).toFixed(2)} s`;
+    document.getElementById('tapRepeatIgnoreValue').textContent = `${(APP.settings.tapRepeatIgnore / 1000).toFixed(1)} s`;
+    tapActivateOnSelect.value = APP.settings.tapActivateOn;
+    touchGuardToggle.checked = APP.settings.touchGuard;
+}
+
+function onTapSettingChange() {
+    APP.settings.tapMinHold = Math.round(Number(tapMinHoldInput.value) * 1000);
+    APP.settings.tapRepeatIgnore = Math.round(Number(tapRepeatIgnoreInput.value) * 1000);
+    APP.settings.tapActivateOn = tapActivateOnSelect.value;
+    APP.settings.touchGuard = touchGuardToggle.checked;
+    saveSettings();
+    renderTapSettings();
+}
+
+tapMinHoldInput.oninput = onTapSettingChange;
+tapRepeatIgnoreInput.oninput = onTapSettingChange;
+tapActivateOnSelect.onchange = onTapSettingChange;
+touchGuardToggle.onchange = onTapSettingChange;
+
+symbolLabelSelect.onchange = () => {
+    APP.settings.symbolLabel = symbolLabelSelect.value;
+    saveSettings();
+    if (APP.phrases && btnPhrases.classList.contains('active')) renderPhrases();
+};
+
+/**
+ * Apply the theme and button text size
+ */
+function applyAppearance() {
+    document.body.dataset.theme = APP.settings.theme;
+    document.documentElement.style.setProperty('--button-font-size', `${APP.settings.buttonFontSize}px`);
+}
+
+function renderAppearanceSettings() {
+    themeSelect.value = APP.settings.theme;
+    buttonFontSizeInput.value = APP.settings.buttonFontSize;
+    document.getElementById('buttonFontSizeValue').textContent = `${APP.settings.buttonFontSize} px`;
+    colorCodingSelect.value = APP.settings.colorCoding;
+}
+
+themeSelect.onchange = () => {
+    APP.settings.theme = themeSelect.value;
+    saveSettings();
+    applyAppearance();
+};
+
+buttonFontSizeInput.oninput = () => {
+    APP.settings.buttonFontSize = Number(buttonFontSizeInput.value);
+    saveSettings();
+    renderAppearanceSettings();
+    applyAppearance();
+};
+
+colorCodingSelect.onchange = () => {
+    APP.settings.colorCoding = colorCodingSelect.value;
+    saveSettings();
+    if (APP.phrases && btnPhrases.classList.contains('active')) renderPhrases();
+};
+
+historyRetentionSelect.onchange = () => {
+    APP.settings.historyRetentionDays = Number(historyRetentionSelect.value);
+    saveSettings();
+};
+
+wordPredictionToggle.onchange = () => {
+    APP.settings.wordPrediction = wordPredictionToggle.checked;
+    saveSettings();
+    updatePredictions();
+};
+
+speakerSelect.onchange = onVoiceSettingChange;
+voiceSpeedInput.oninput = onVoiceSettingChange;
+voiceVolumeInput.oninput = onVoiceSettingChange;
+voicePitchInput.oninput = onVoiceSettingChange;
+
+speakerPreviewBtn.onclick = () => {
+    if (!APP.voiceSettings) return;
+    const names = APP.voiceManifest ? APP.voiceManifest.speakerNames : [];
+    const speaker = names[APP.voiceSettings.sid] || `speaker ${APP.voiceSettings.sid}`;
+    speak(`Hello, this is ${speaker}.`, { policy: 'interrupt', history: false });
+};
+
+voiceResetBtn.onclick = () => {
+    if (!APP.voiceSettings) return;
+    APP.voiceSettings = { ...DEFAULT_VOICE_SETTINGS };
+    renderVoiceSettings();
+    onVoiceSettingChange();
+};
+
+/**
+ * Open the pronunciation editor
+ */
+function openLexiconModal() {
+    lexiconWordInput.value = '';
+    lexiconSayInput.value = '';
+    renderLexicon();
+    lexiconModal.classList.remove('hidden');
+}
+
+function closeLexiconModal() {
+    lexiconModal.classList.add('hidden');
+}
+
+/**
+ * List lexicon entries, alphabetically, each with audition and delete buttons
+ */
+function renderLexicon() {
+    lexiconList.innerHTML = '';
+    if (APP.lexicon.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'settings-hint';
+        empty.textContent = 'No pronunciations yet.';
+        lexiconList.appendChild(empty);
+        return;
+    }
+    
+    [...APP.lexicon]
+        .sort((a, b) => a.word.localeCompare(b.word))
+        .forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'lexicon-row';
+            
+            const word = document.createElement('span');
+            word.className = 'lexicon-word';
+            word.textContent = entry.word;
+            const say = document.createElement('span');
+            say.className = 'lexicon-say';
+            say.textContent = entry.say;
+            // Tap an entry to edit it in the inputs below
+            row.onclick = () => {
+                lexiconWordInput.value = entry.word;
+                lexiconSayInput.value = entry.say;
+            };
+            
+            const play = document.createElement('button');
+            play.className = 'history-action';
+            play.textContent = '▶';
+            play.title = 'Listen';
+            play.onclick = (e) => {
+                e.stopPropagation();
+                speak(entry.say, { policy: 'interrupt', history: false, raw: true });
+            };
+            
+            const remove = document.createElement('button');
+            remove.className = 'history-action';
+            remove.textContent = '✕';
+            remove.title = 'Delete';
+            remove.onclick = (e) => {
+                e.stopPropagation();
+                APP.lexicon = APP.lexicon.filter(it => it !== entry);
+                saveLexicon();
+                renderLexicon();
+            };
+            
+            row.append(word, say, play, remove);
+            lexiconList.appendChild(row);
+        });
+}
+
+/**
+ * Add the entry in the inputs, replacing any entry for the same word
+ */
+function saveLexiconEntry() {
+    const word = lexiconWordInput.value.trim();
+    const say = lexiconSayInput.value.trim();
+    if (!word || !say) return;
+    
+    const existing = findLexiconEntry(word);
+    if (existing) {
+        existing.word = word;
+        existing.say = say;
+    } else {
+        APP.lexicon.push({ word, say });
+    }
+    saveLexicon();
+    lexiconWordInput.value = '';
+    lexiconSayInput.value = '';
+    renderLexicon();
+}
+
+function exportLexicon() {
+    const data = { format: 'htmu-lexicon', exportedAt: new Date().toISOString(), entries: APP.lexicon };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'pronunciations.json');
+}
+
+/**
+ * Read a lexicon file: our JSON export, or plain text with one "word<tab or =>respelling" per line
+ */
+async function parseLexiconFile(file) {
+    const text = await file.text();
+    let entries;
+    if (file.name.toLowerCase().endsWith('.json')) {
+        const data = JSON.parse(text);
+        entries = Array.isArray(data) ? data : data.entries;
+        if (!Array.isArray(entries)) throw new Error('No pronunciations found in file');
+    } else {
+        entries = text.split(/\r?\n/)
+            .filter(line => line.trim() && !line.trim().startsWith('#'))
+            .map(line => {
+                const [word, ...rest] = line.split(/\t|=/);
+                return { word, say: rest.join('=') };
+            });
+    }
+    
+    return entries
+        .filter(e => e && typeof e.word === 'string' && typeof e.say === 'string')
+        .map(e => ({ word: e.word.trim(), say: e.say.trim() }))
+        .filter(e => e.word && e.say);
+}
+
+/**
+ * Merge imported entries; imported respellings win for words already present
+ */
+function importLexicon(entries) {
+    let added = 0;
+    let updated = 0;
+    entries.forEach(({ word, say }) => {
+        const existing = findLexiconEntry(word);
+        if (existing) {
+            if (existing.say !== say) updated++;
+            existing.say = say;
+        } else {
+            APP.lexicon.push({ word, say });
+            added++;
+        }
+    });
+    saveLexicon();
+    renderLexicon();
+    return { added, updated };
+}
+
+document.getElementById('lexiconOpenBtn').onclick = openLexiconModal;
+document.getElementById('lexiconClose').onclick = closeLexiconModal;
+document.getElementById('lexiconSaveBtn').onclick = saveLexiconEntry;
+document.getElementById('lexiconTestBtn').onclick = () => {
+    // The respelling as written; without one, the word as it's said now
+    const say = lexiconSayInput.value.trim();
+    const word = lexiconWordInput.value.trim();
+    if (say) speak(say, { policy: 'interrupt', history: false, raw: true });
+    else if (word) speak(word, { policy: 'interrupt', history: false });
+};
+document.getElementById('lexiconExportBtn').onclick = exportLexicon;
+document.getElementById('lexiconImportBtn').onclick = () => lexiconImportInput.click();
+lexiconSayInput.onkeydown = (e) => {
+    if (e.key === 'Enter') saveLexiconEntry();
+};
+
+lexiconImportInput.onchange = async (e) => {
+    const file = e.target.files[0];
+    lexiconImportInput.value = '';
+    if (!file) return;
+    try {
+        const { added, updated } = importLexicon(await parseLexiconFile(file));
+        statusText.textContent = `Pronunciations: ${added} added, ${updated} updated`;
+    } catch (error) {
+        console.error('Lexicon import failed:', error);
+        alert('Import failed: ' + error.message);
+    }
+};
+
+document.getElementById('boardExportJson').onclick = () => {
+    exportBoardJSON().catch(error => alert('Export failed: ' + error.message));
+};
+document.getElementById('boardExportObz').onclick = () => {
+    exportBoardOBZ().catch(error => alert('Export failed: ' + error.message));
+};
+document.getElementById('boardExportObf').onclick = () => {
+    exportGroupOBF().catch(error => alert('Export failed: ' + error.message));
+};
+document.getElementById('boardExportAudio').onclick = () => {
+    closeSettingsModal();
+    exportGroupAudio();
+};
+document.getElementById('boardImportBtn').onclick = () => boardImportInput.click();
+
+boardImportInput.onchange = async (e) => {
+    const file = e.target.files[0];
+    boardImportInput.value = '';
+    if (!file) return;
+    try {
+        openImportModal(await parseBoardFile(file), file.name);
+    } catch (error) {
+        console.error('Board import failed:', error);
+        alert('Import failed: ' + error.message);
+    }
+};
+
+document.getElementById('backupCreateBtn').onclick = async () => {
+    statusText.textContent = 'Creating backup...';
+    try {
+        await createBackup();
+    } catch (error) {
+        console.error('Backup failed:', error);
+        alert('Backup failed: ' + error.message);
+    }
+    updateSpeechStatus();
+};
+document.getElementById('backupRestoreBtn').onclick = () => backupRestoreInput.click();
+
+backupRestoreInput.onchange = async (e) => {
+    const file = e.target.files[0];
+    backupRestoreInput.value = '';
+    if (!file) return;
+    if (!confirm('Restoring replaces your phrases, settings and history with those in the backup. Continue?')) return;
+    
+    closeSettingsModal();
+    loadingOverlay.classList.remove('hidden');
+    try {
+        const report = await restoreBackup(file, (message) => { loadingText.textContent = message; });
+        loadingOverlay.classList.add('hidden');
+        alert(formatRestoreReport(report));
+        location.reload();
+    } catch (error) {
+        console.error('Restore failed:', error);
+        loadingOverlay.classList.add('hidden');
+        alert('Restore failed: ' + error.message);
+    }
+};
+
+document.getElementById('importCancel').onclick = closeImportModal;
+document.getElementById('importMerge').onclick = () => applyImport('merge');
+document.getElementById('importReplace').onclick = () => applyImport('replace');
+
+changeVoiceBtn.onclick = openVoiceManager;
+document.getElementById('voiceManagerClose').onclick = closeVoiceManager;
+document.getElementById('voiceAddBtn').onclick = () => voiceManagerInput.click();
+
+voiceManagerInput.onchange = async (e) => {
+    const file = e.target.files[0];
+    voiceManagerInput.value = '';
+    if (!file) return;
+    closeVoiceManager();
+    // The current voice keeps working until the new package has been validated
+    await loadVoiceFile(file, undefined, { beforeInit: () => { if (APP.tts) stopCurrentVoice(); } });
+    if (!APP.tts) showVoiceLoadScreen();
+};
+
+// Edit modal handlers
+editCancel.onclick = closeEditModal;
+editSave.onclick = saveEditedPhrase;
+editDelete.onclick = deletePhrase;
+
+// Close modal on overlay click
+editModal.onclick = (e) => {
+    if (e.target === editModal) closeEditModal();
+};
+
+// Group modal handlers
+groupCancel.onclick = closeGroupModal;
+groupSave.onclick = saveGroup;
+groupDelete.onclick = deleteEditedGroup;
+groupModal.onclick = (e) => {
+    if (e.target === groupModal) closeGroupModal();
+};
+
+// Layout modal handlers
+document.getElementById('layoutCancel').onclick = closeLayoutModal;
+document.getElementById('layoutSave').onclick = saveLayout;
+layoutModal.onclick = (e) => {
+    if (e.target === layoutModal) closeLayoutModal();
+};
+
+groupNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        saveGroup();
+    } else if (e.key === 'Escape') {
+        closeGroupModal();
+    }
+});
+
+// Save on Enter in edit input
+editPhraseText.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        saveEditedPhrase();
+    } else if (e.key === 'Escape') {
+        closeEditModal();
+    }
+});
+
+const SCAN_TARGETS = 'button:not(:disabled), .breadcrumb-item, .upload-area, .suggestion-item, select, input[type="checkbox"]';
+const SCAN_ITEM_LOOPS = 2;  // Item passes without a selection before auto scanning returns to rows
+
+const scanState = {
+    level: 'rows',   // 'rows' | 'items'
+    rows: [],        // Arrays of elements, one per visual row
+    rowIndex: -1,
+    itemIndex: -1,
+    itemLoops: 0,
+    timer: null,
+    cue: null,       // { request, source } for the cue being spoken
+};
+
+/**
+ * The area being scanned: the topmost open dialog, the voice load screen, or the main screen
+ */
+function getScanRoot() {
+    const modals = [...document.querySelectorAll('.modal-overlay:not(.hidden)')];
+    if (modals.length > 0) return modals[modals.length - 1];
+    if (!voiceLoadScreen.classList.contains('hidden')) return voiceLoadScreen;
+    return document.body;
+}
+
+/**
+ * Group the visible controls into rows by their position on screen
+ */
+function collectScanRows() {
+    const elements = [...getScanRoot().querySelectorAll(SCAN_TARGETS)]
+        .filter(el => el.getClientRects().length > 0 && !el.closest('.hidden'))
+        .map(el => ({ el, rect: el.getBoundingClientRect() }))
+        .sort((a, b) => a.rect.top - b.rect.top || a.rect.left - b.rect.left);
+    
+    const rows = [];
+    let rowTop = null;
+    let rowHeight = 0;
+    elements.forEach(({ el, rect }) => {
+        if (rowTop === null || rect.top - rowTop >= Math.max(rowHeight, rect.height) / 2) {
+            rows.push([]);
+            rowTop = rect.top;
+            rowHeight = rect.height;
+        }
+        rows[rows.length - 1].push({ el, left: rect.left });
+    });
+    return rows.map(row => row.sort((a, b) => a.left - b.left).map(item => item.el));
 }
 
 /**
- * Close edit modal
+ * What a control is called, for scan cues
  */
-function closeEditModal() {
-    editModal.classList.add('hidden');
-    editingPhraseIndex = null;
-    editingGroupPath = [];
-    selectedColor = '#ffffff';
+function getScanLabel(el) {
+    if (el.tagName === 'SELECT') return el.options[el.selectedIndex] ? el.options[el.selectedIndex].text : '';
+    if (el.type === 'checkbox') {
+        const label = el.closest('label');
+        return (label ? label.textContent.trim() : '') + (el.checked ? ', on' : ', off');
+    }
+    const text = el.querySelector('.text');
+    return el.title || el.getAttribute('aria-label') || (text || el).textContent.trim();
+}
+
+function clearScanHighlight() {
+    document.querySelectorAll('.scan-row, .scan-focus').forEach(el => el.classList.remove('scan-row', 'scan-focus'));
 }
 
 /**
- * Save edited phrase
+ * Show the current row or item and announce it
  */
-function saveEditedPhrase() {
-    const newText = editPhraseText.value.trim();
-    if (!newText) return;
+function showScanPosition() {
+    clearScanHighlight();
+    const row = scanState.rows[scanState.rowIndex];
+    if (!row) return;
     
-    // Get the items array to modify
-    let items;
-    if (editingGroupPath.length === 0) {
-        items = APP.phrases.phrases;
+    if (scanState.level === 'rows') {
+        row.forEach(el => el.classList.add('scan-row'));
+        row[0].scrollIntoView({ block: 'nearest' });
+        speakScanCue(getScanLabel(row[0]));
     } else {
-        const groupName = editingGroupPath[editingGroupPath.length - 1];
-        items = APP.phrases.groups[groupName].phrases;
-    }
-    
-    // Update the phrase with text, speak text, and color
-    if (items[editingPhraseIndex]) {
-        items[editingPhraseIndex].text = newText;
-        items[editingPhraseIndex].speakText = editSpeakText.value.trim() || null;
-        items[editingPhraseIndex].color = selectedColor;
+        const el = row[scanState.itemIndex];
+        el.classList.add('scan-focus');
+        el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        speakScanCue(getScanLabel(el));
     }
-    
-    closeEditModal();
-    renderPhrases();
-    
-    // Save to persistent storage
-    savePhrasesToStorage();
 }
 
 /**
- * Delete a phrase
+ * Move the highlight one step
  */
-async function deletePhrase() {
-    // Get the items array to modify
-    let items;
-    if (editingGroupPath.length === 0) {
-        items = APP.phrases.phrases;
+function scanNext() {
+    if (scanState.level === 'items') {
+        const row = scanState.rows[scanState.rowIndex];
+        if (!row || row.some(el => !el.isConnected)) {
+            restartScan();
+            return;
+        }
+        scanState.itemIndex++;
+        if (scanState.itemIndex >= row.length) {
+            scanState.itemIndex = 0;
+            scanState.itemLoops++;
+            // A single-switch user can't go back, so leave the row after a few passes
+            if (APP.settings.scanMode === 'auto' && scanState.itemLoops >= SCAN_ITEM_LOOPS) {
+                scanBack();
+                return;
+            }
+        }
     } else {
-        const groupName = editingGroupPath[editingGroupPath.length - 1];
-        items = APP.phrases.groups[groupName].phrases;
+        scanState.rows = collectScanRows();
+        if (scanState.rows.length === 0) return;
+        scanState.rowIndex = (scanState.rowIndex + 1) % scanState.rows.length;
     }
-    
-    // Remove the phrase
-    items.splice(editingPhraseIndex, 1);
-    
-    closeEditModal();
-    renderPhrases();
-    
-    // Save to persistent storage
-    await savePhrasesToStorage();
+    showScanPosition();
 }
 
 /**
- * Append phrase to text input with smart spacing (AAC sentence building)
+ * Select the highlighted row (enter it) or item (activate it)
  */
-function appendPhrase(newPhrase) {
-    const currentText = textInput.value;
-    
-    if (currentText.length === 0) {
-        // Empty - just add the phrase
-        textInput.value = newPhrase;
-    } else {
-        // Check if last character is a space
-        const lastChar = currentText.slice(-1);
-        if (lastChar === ' ') {
-            textInput.value = currentText + newPhrase;
-        } else {
-            // Add smart space before the new phrase
-            textInput.value = currentText + ' ' + newPhrase;
-        }
+function scanSelect() {
+    const row = scanState.rows[scanState.rowIndex];
+    if (!row) {
+        scanNext();
+        return;
     }
     
-    // Auto-resize textarea
-    textInput.style.height = 'auto';
-    textInput.style.height = Math.min(textInput.scrollHeight, 100) + 'px';
+    if (scanState.level === 'rows' && row.length > 1) {
+        scanState.level = 'items';
+        scanState.itemIndex = 0;
+        scanState.itemLoops = 0;
+        showScanPosition();
+        resetScanTimer();
+        return;
+    }
     
-    // Speak the new phrase only (not the whole sentence)
-    speak(newPhrase);
+    const el = scanState.level === 'rows' ? row[0] : row[scanState.itemIndex];
+    clearScanHighlight();
+    activateScanTarget(el);
+    // The screen has probably changed; start again from the top once it has settled
+    setTimeout(restartScan, 50);
 }
 
-/**
- * Generate speech
- */
-async function speak(text) {
-    if (!APP.tts || !text.trim() || APP.isGenerating) return;
-    
-    APP.isGenerating = true;
-    speakBtn.disabled = true;
-    statusText.textContent = 'Generating...';
-    
-    const genStart = performance.now();
-    
-    try {
-        const audio = APP.tts.generate({ text, sid: 0, speed: 1.0 });
-        const genEnd = performance.now();
-        const duration = audio.samples.length / audio.sampleRate;
-        console.log(`[TTS] Generated ${duration.toFixed(2)}s audio in ${(genEnd - genStart).toFixed(0)}ms (${text.substring(0, 30)}...)`);
-        
-        playAudio(audio.samples, audio.sampleRate);
-        addToHistory(text);
-        statusText.textContent = 'Playing...';
-    } catch (error) {
-        console.error('Generation failed:', error);
-        statusText.textContent = 'Error: ' + error.message;
-    } finally {
-        APP.isGenerating = false;
-        speakBtn.disabled = false;
+function scanBack() {
+    if (scanState.level === 'items') {
+        scanState.level = 'rows';
+        showScanPosition();
+        resetScanTimer();
+    } else if (getScanRoot() !== document.body && getScanRoot() !== voiceLoadScreen) {
+        // Backing out of the top level of a dialog closes it, like tapping outside
+        getScanRoot().click();
+        setTimeout(restartScan, 50);
     }
 }
 
 /**
- * Play audio
+ * Do what a tap on the element would do, within the same repeat-ignore window as taps
  */
-function playAudio(samples, sampleRate) {
-    if (!APP.audioCtx) {
-        APP.audioCtx = new (window.AudioContext || window.webkitAudioContext)({ sampleRate });
+function activateScanTarget(el) {
+    if (!acceptActivation()) return;
+    if (el.tagName === 'SELECT') {
+        el.selectedIndex = (el.selectedIndex + 1) % el.options.length;
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+    } else {
+        activateButton(el);
+    }
+    // Buttons that focus a text field (clear, edit) would otherwise leave the switch typing into it
+    if (isTypingTarget(document.activeElement)) document.activeElement.blur();
+}
+
+function restartScan() {
+    scanState.level = 'rows';
+    scanState.rows = collectScanRows();
+    scanState.rowIndex = 0;
+    scanState.itemIndex = 0;
+    showScanPosition();
+    resetScanTimer();
+}
+
+function resetScanTimer() {
+    clearInterval(scanState.timer);
+    scanState.timer = null;
+    if (APP.settings.scanMode === 'auto') {
+        scanState.timer = setInterval(scanNext, APP.settings.scanSpeed * 1000);
     }
-    
-    const buffer = APP.audioCtx.createBuffer(1, samples.length, sampleRate);
-    buffer.getChannelData(0).set(samples);
-    
-    const source = APP.audioCtx.createBufferSource();
-    source.buffer = buffer;
-    source.connect(APP.audioCtx.destination);
-    source.onended = () => { statusText.textContent = 'Ready'; };
-    source.start();
 }
 
 /**
- * Add to history
+ * Start or stop scanning to match the settings
  */
-function addToHistory(text) {
-    APP.history = APP.history.filter(h => h !== text);
-    APP.history.unshift(text);
-    APP.history = APP.history.slice(0, 20);
-    localStorage.setItem('htmu_history', JSON.stringify(APP.history));
+function applyScanMode() {
+    clearInterval(scanState.timer);
+    scanState.timer = null;
+    clearScanHighlight();
+    document.body.classList.toggle('scanning', APP.settings.scanMode !== 'off');
+    if (APP.settings.scanMode !== 'off') restartScan();
 }
 
 /**
- * Render history
+ * Stop the scan cue being generated or played, if any
  */
-function renderHistory() {
-    phraseGrid.innerHTML = '';
-    breadcrumb.innerHTML = '<span class="breadcrumb-item">📜 History</span>';
-    
-    if (APP.history.length === 0) {
-        const empty = document.createElement('div');
-        empty.style.cssText = 'grid-column: 1/-1; text-align: center; color: #999; padding: 40px;';
-        empty.textContent = 'No history yet';
-        phraseGrid.appendChild(empty);
-        return;
+function stopScanCue() {
+    if (!scanState.cue) return;
+    ttsCancel(scanState.cue.request.id);
+    if (scanState.cue.source) {
+        try { scanState.cue.source.stop(); } catch (e) {}
     }
-    
-    APP.history.forEach(text => {
-        const btn = document.createElement('button');
-        btn.className = 'phrase-btn';
-        btn.innerHTML = `<span class="text">${text}</span>`;
-        btn.onclick = () => { appendPhrase(text); };
-        phraseGrid.appendChild(btn);
-    });
+    scanState.cue = null;
 }
 
-// Event listeners
+/**
+ * Speak a scan cue straight away, replacing any cue still playing.
+ * Cues bypass the utterance queue and history; 'quiet' plays them in the same voice at lower volume.
+ */
+function speakScanCue(text) {
+    stopScanCue();
+    if (APP.settings.scanCues === 'off' || !APP.tts || !text) return;
+    // Don't talk over the user's own speech
+    if (APP.currentUtterance) return;
+    
+    const voice = getSynthesisParams();
+    const cue = { request: synthesize({ text: prepareSpeechText(text), sid: voice.sid, speed: voice.speed * 1.2 }), source: null };
+    scanState.cue = cue;
+    cue.request.promise.then(audio => {
+        if (scanState.cue !== cue || APP.currentUtterance) return;
+        const ctx = getAudioContext(audio.sampleRate);
+        const gain = ctx.createGain();
+        const volume = APP.voiceSettings ? APP.voiceSettings.volume : 1;
+        gain.gain.value = APP.settings.scanCues === 'quiet' ? volume * 0.35 : volume;
+        gain.connect(ctx.destination);
+        
+        const buffer = ctx.createBuffer(1, audio.samples.length, audio.sampleRate);
+        buffer.getChannelData(0).set(audio.samples);
+        cue.source = ctx.createBufferSource();
+        cue.source.buffer = buffer;
+        cue.source.playbackRate.value = voice.playbackRate;
+        cue.source.connect(gain);
+        cue.source.start();
+    }).catch(() => {});
+}
 
-// Upload area
-uploadArea.onclick = () => voiceFileInput.click();
+/**
+ * "Space" for ' ', otherwise the key name
+ */
+function describeKey(key) {
+    return key === ' ' ? 'Space' : key;
+}
 
-uploadArea.ondragover = (e) => {
-    e.preventDefault();
-    uploadArea.classList.add('dragging');
-};
+function getScanAction(key) {
+    if (!key) return null;
+    if (key === APP.settings.scanSelectKey) return 'select';
+    if (key === APP.settings.scanNextKey) return 'next';
+    if (key === APP.settings.scanBackKey) return 'back';
+    return null;
+}
 
-uploadArea.ondragleave = () => {
-    uploadArea.classList.remove('dragging');
-};
+/**
+ * Whether a key press is typing into a text field, where mapped keys keep their usual meaning
+ */
+function isTypingTarget(el) {
+    if (!el || !el.tagName) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+    return el.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button', 'submit', 'file'].includes(el.type);
+}
 
-uploadArea.ondrop = (e) => {
+// Switches arrive as key presses; mapped keys are consumed before anything else sees them
+document.addEventListener('keydown', (e) => {
+    if (APP.settings.scanMode === 'off' || scanKeyCapture || isTypingTarget(e.target)) return;
+    const action = getScanAction(e.key);
+    if (!action) return;
+    
     e.preventDefault();
-    uploadArea.classList.remove('dragging');
-    const file = e.dataTransfer.files[0];
-    if (file && file.name.endsWith('.htmuvoice')) {
-        loadVoiceFile(file);
+    e.stopPropagation();
+    if (e.repeat) return;
+    
+    if (action === 'select') {
+        scanSelect();
+    } else if (action === 'next') {
+        scanNext();
+        resetScanTimer();
     } else {
-        alert('Please drop a .htmuvoice file');
+        scanBack();
     }
-};
-
-voiceFileInput.onchange = (e) => {
-    const file = e.target.files[0];
-    if (file) loadVoiceFile(file);
-};
+}, true);
 
-// Speak button
-speakBtn.onclick = () => {
-    const text = textInput.value.trim();
-    if (text) speak(text);
-};
+// Buttons click on Space/Enter release too; keep the switch from also pressing the focused button
+document.addEventListener('keyup', (e) => {
+    if (APP.settings.scanMode === 'off' || isTypingTarget(e.target) || !getScanAction(e.key)) return;
+    e.preventDefault();
+    e.stopPropagation();
+}, true);
 
-clearBtn.onclick = () => {
-    textInput.value = '';
-    textInput.focus();
-    // Stop any currently playing audio
-    stopAudio();
+const dwellState = {
+    target: null,     // Element the pointer is resting on
+    start: 0,
+    frame: null,
+    spent: null,      // Element just selected; it needs the pointer to leave before it can be selected again
+    armedAt: 0,       // No dwelling before this time (hover-rearm delay)
 };
 
 /**
- * Stop currently playing audio
+ * Activatable element under the pointer, if dwelling is allowed on it
  */
-function stopAudio() {
-    if (APP.currentSource) {
-        try { 
-            APP.currentSource.stop(); 
-        } catch(e) {}
-        APP.currentSource = null;
-    }
-    APP.isGenerating = false;
-    speakBtn.disabled = false;
-    statusText.textContent = 'Ready';
+function getDwellTarget(el) {
+    const target = el && el.closest ? el.closest(SCAN_TARGETS) : null;
+    return target && !target.closest('.hidden') ? target : null;
 }
 
-textInput.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-        e.preventDefault();
-        const text = textInput.value.trim();
-        if (text) speak(text);
-    }
-});
-
-textInput.addEventListener('input', () => {
-    textInput.style.height = 'auto';
-    textInput.style.height = Math.min(textInput.scrollHeight, 100) + 'px';
-    showSuggestions(textInput.value.trim());
-});
-
-textInput.addEventListener('blur', () => {
-    setTimeout(hideSuggestions, 200);
-});
-
-suggestions.addEventListener('click', (e) => {
-    const item = e.target.closest('.suggestion-item');
-    if (item) {
-        const text = item.dataset.text;
-        // For suggestions, replace since user was typing
-        textInput.value = text;
-        hideSuggestions();
-        // Don't auto-speak for suggestions - user may want to keep building
-    }
-});
-
-btnPhrases.onclick = () => {
-    btnPhrases.classList.add('active');
-    btnHistory.classList.remove('active');
-    renderPhrases();
-};
-
-btnHistory.onclick = () => {
-    btnHistory.classList.add('active');
-    btnPhrases.classList.remove('active');
-    renderHistory();
-};
-
-changeVoiceBtn.onclick = () => {
-    location.reload();
-};
-
-// Edit modal handlers
-editCancel.onclick = closeEditModal;
-editSave.onclick = saveEditedPhrase;
-editDelete.onclick = deletePhrase;
+function cancelDwell() {
+    cancelAnimationFrame(dwellState.frame);
+    dwellState.frame = null;
+    dwellState.target = null;
+    dwellRing.classList.add('hidden');
+}
 
-// Close modal on overlay click
-editModal.onclick = (e) => {
-    if (e.target === editModal) closeEditModal();
-};
+/**
+ * Start timing a dwell on target, drawing the progress ring over its centre
+ */
+function startDwell(target) {
+    cancelDwell();
+    dwellState.target = target;
+    dwellState.start = Math.max(performance.now(), dwellState.armedAt);
+    
+    const rect = target.getBoundingClientRect();
+    dwellRing.style.left = `${rect.left + rect.width / 2}px`;
+    dwellRing.style.top = `${rect.top + rect.height / 2}px`;
+    dwellRing.style.setProperty('--dwell-progress', 0);
+    dwellRing.classList.remove('hidden');
+    
+    const tick = (now) => {
+        if (dwellState.target !== target) return;
+        if (!target.isConnected) {
+            cancelDwell();
+            return;
+        }
+        const progress = Math.max(0, now - dwellState.start) / APP.settings.dwellTime;
+        dwellRing.style.setProperty('--dwell-progress', Math.min(progress, 1));
+        if (progress < 1) {
+            dwellState.frame = requestAnimationFrame(tick);
+            return;
+        }
+        cancelDwell();
+        dwellState.spent = target;
+        dwellState.armedAt = performance.now() + APP.settings.dwellRearm;
+        activateScanTarget(target);
+    };
+    dwellState.frame = requestAnimationFrame(tick);
+}
 
-// Save on Enter in edit input
-editPhraseText.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-        e.preventDefault();
-        saveEditedPhrase();
-    } else if (e.key === 'Escape') {
-        closeEditModal();
+// Head-mouse and eye-gaze pointers report as mouse or pen; touch has no hover
+document.addEventListener('pointermove', (e) => {
+    if (!APP.settings.dwellEnabled || e.pointerType === 'touch') return;
+    const target = getDwellTarget(e.target);
+    
+    if (target !== dwellState.spent) dwellState.spent = null;
+    if (target === dwellState.target) return;
+    if (!target || target === dwellState.spent || target.disabled) {
+        cancelDwell();
+        return;
     }
+    startDwell(target);
 });
 
-// Load history
-APP.history = JSON.parse(localStorage.getItem('libby_history') || '[]');
+document.addEventListener('pointerleave', cancelDwell);
+window.addEventListener('scroll', cancelDwell, true);
 
 /**
  * Initialize app - check for saved voices
@@ -1014,6 +6075,18 @@ async function init() {
         APP.db = null;
     }
     
+    await loadSettings();
+    applyAppearance();
+    applyScanMode();
+    await loadHistory();
+    await loadPredictionModel();
+    await loadLexicon();
+    try {
+        await loadAudioCacheIndex();
+    } catch (error) {
+        console.warn('[Cache] Failed to read audio cache:', error);
+    }
+    
     // Check for saved voices
     let savedVoices = [];
     if (APP.db) {
@@ -1022,7 +6095,9 @@ async function init() {
             console.log('Saved voices:', savedVoices);
             
             if (savedVoices.length > 0) {
-                const voiceName = savedVoices[0];
+                const voiceName = savedVoices.includes(APP.settings.defaultVoice)
+                    ? APP.settings.defaultVoice
+                    : savedVoices[0];
                 const voiceData = await loadVoiceFromStorage(voiceName);
                 
                 if (voiceData && voiceData.data) {
@@ -1044,33 +6119,169 @@ async function init() {
 /**
  * Show list of saved voices (if any) plus upload option
  */
-function showSavedVoicesList(savedVoices) {
-    if (savedVoices.length > 0) {
-        const listHtml = savedVoices.map(name => 
-            `<button class="saved-voice-btn" data-name="${name}">
-                📦 ${name}
-            </button>`
-        ).join('');
-        
-        uploadArea.insertAdjacentHTML('beforebegin', `
-            <div class="saved-voices">
-                <p style="margin-bottom: 12px; font-size: 14px; color: #666;">Saved voices:</p>
-                ${listHtml}
-                <p style="margin: 16px 0; font-size: 14px; color: #999;">— or —</p>
-            </div>
-        `);
-        
-        // Add click handlers
-        document.querySelectorAll('.saved-voice-btn').forEach(btn => {
-            btn.onclick = async () => {
-                const name = btn.dataset.name;
-                const voiceData = await loadVoiceFromStorage(name);
-                if (voiceData && voiceData.data) {
-                    await loadVoiceFile(voiceData.data, name);
-                }
-            };
+async function showSavedVoicesList(savedVoices) {
+    const existing = document.querySelector('.saved-voices');
+    if (existing) existing.remove();
+    if (savedVoices.length === 0) return;
+    
+    const labels = new Map();
+    try {
+        (await loadVoiceList()).forEach(meta => {
+            labels.set(meta.name, meta.manifest ? `${meta.label} · ${meta.manifest.language}` : meta.label);
         });
+    } catch (error) {
+        console.warn('[Storage] Failed to read voice list:', error);
+    }
+    
+    const container = document.createElement('div');
+    container.className = 'saved-voices';
+    const heading = document.createElement('p');
+    heading.style.cssText = 'margin-bottom: 12px; font-size: 14px; color: #666;';
+    heading.textContent = 'Saved voices:';
+    container.appendChild(heading);
+    
+    savedVoices.forEach(name => {
+        const btn = document.createElement('button');
+        btn.className = 'saved-voice-btn';
+        btn.textContent = `📦 ${labels.get(name) || name}`;
+        btn.onclick = () => switchVoice(name);
+        container.appendChild(btn);
+    });
+    
+    const or = document.createElement('p');
+    or.style.cssText = 'margin: 16px 0; font-size: 14px; color: #999;';
+    or.textContent = '— or —';
+    container.appendChild(or);
+    uploadArea.before(container);
+}
+
+function showVoiceLoadScreen() {
+    voiceLoadScreen.classList.remove('hidden');
+    if (APP.db) getSavedVoices().then(showSavedVoicesList).catch(() => {});
+}
+
+/**
+ * Stop speech and tear down the running voice engine
+ */
+function stopCurrentVoice() {
+    stopAudio();
+    APP.prerenderToken++;
+    stopTTSWorker();
+    APP.voiceName = null;
+    textInput.disabled = true;
+    speakBtn.disabled = true;
+    statusText.textContent = 'No voice loaded';
+}
+
+/**
+ * Load an installed voice in place of the current one, without reloading the page
+ */
+async function switchVoice(name) {
+    const voiceData = await loadVoiceFromStorage(name);
+    if (!voiceData || !voiceData.data) {
+        alert(`Voice "${name}" is missing from storage.`);
+        return;
+    }
+    if (APP.tts) stopCurrentVoice();
+    await loadVoiceFile(voiceData.data, name);
+    if (!APP.tts) showVoiceLoadScreen();
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+async function openVoiceManager() {
+    voiceManagerModal.classList.remove('hidden');
+    await renderVoiceManager();
+}
+
+function closeVoiceManager() {
+    voiceManagerModal.classList.add('hidden');
+}
+
+/**
+ * List installed voices with their details and actions
+ */
+async function renderVoiceManager() {
+    voiceManagerList.innerHTML = '';
+    let list = [];
+    if (APP.db) {
+        try {
+            list = await loadVoiceList();
+        } catch (error) {
+            console.error('[Storage] Failed to list voices:', error);
+        }
+    }
+    if (list.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'settings-hint';
+        empty.textContent = 'No voices installed.';
+        voiceManagerList.appendChild(empty);
+        return;
     }
+    
+    const defaultName = list.some(m => m.name === APP.settings.defaultVoice) ? APP.settings.defaultVoice : list[0].name;
+    list.forEach(meta => {
+        const row = document.createElement('div');
+        row.className = 'voice-row' + (meta.name === APP.voiceName ? ' active' : '');
+        
+        const info = document.createElement('div');
+        info.className = 'voice-info';
+        const title = document.createElement('div');
+        title.className = 'voice-title';
+        title.textContent = meta.label + (meta.name === APP.voiceName ? ' (in use)' : '');
+        const details = document.createElement('div');
+        details.className = 'settings-hint';
+        details.textContent = `${formatBytes(meta.size)} · installed ${new Date(meta.installedAt).toLocaleDateString()}` +
+            (meta.name === defaultName ? ' · default' : '');
+        const manifest = document.createElement('div');
+        manifest.className = 'settings-hint';
+        manifest.textContent = describeVoiceManifest(meta.manifest);
+        info.append(title, details, manifest);
+        row.appendChild(info);
+        
+        const actions = [
+            ['▶', 'Use this voice', meta.name === APP.voiceName, async () => {
+                closeVoiceManager();
+                await switchVoice(meta.name);
+            }],
+            ['⭐', 'Load at startup', meta.name === defaultName, () => {
+                APP.settings.defaultVoice = meta.name;
+                saveSettings();
+                renderVoiceManager();
+            }],
+            ['✎', 'Rename', false, async () => {
+                const label = prompt('Voice name:', meta.label);
+                if (!label || !label.trim()) return;
+                await updateVoiceList(voices => {
+                    voices.find(m => m.name === meta.name).label = label.trim();
+                });
+                renderVoiceManager();
+            }],
+            ['✕', 'Delete', meta.name === APP.voiceName, async () => {
+                if (!confirm(`Delete the voice "${meta.label}" from this device?`)) return;
+                try {
+                    await uninstallVoice(meta.name);
+                } catch (error) {
+                    console.error('[Storage] Failed to delete voice:', error);
+                    alert('Delete failed: ' + error.message);
+                }
+                renderVoiceManager();
+            }],
+        ];
+        actions.forEach(([icon, label, disabled, onClick]) => {
+            const btn = document.createElement('button');
+            btn.className = 'history-action';
+            btn.textContent = icon;
+            btn.title = disabled && icon === '✕' ? 'Switch to another voice before deleting this one' : label;
+            btn.disabled = disabled;
+            btn.onclick = onClick;
+            row.appendChild(btn);
+        });
+        voiceManagerList.appendChild(row);
+    });
 }
 
 // File System Access (disabled for now - needs more work)
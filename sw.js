@@ -1,10 +1,11 @@
 // HTMU TTS Service Worker
-const CACHE_NAME = 'htmu-tts-v3';
+const CACHE_NAME = 'htmu-tts-v5';
 const VOICE_CACHE = 'htmu-tts-voices';
 const ASSETS = [
   './',
   './index.html',
   './app.js',
+  './tts-worker.js',
   './jszip.min.js',
   './default.json',
   './manifest.json'
@@ -45,6 +46,14 @@ self.addEventListener('message', event => {
       cache.put(url, response);
       console.log('[SW] Cached voice file:', url);
     });
+  } else if (event.data.type === 'DELETE_VOICE') {
+    // Normalize the way cached request URLs are (percent-encoding) before comparing
+    const baseUrl = new URL(event.data.baseUrl, self.location).href;
+    caches.open(VOICE_CACHE).then(async cache => {
+      const keys = await cache.keys();
+      await Promise.all(keys.filter(req => req.url.startsWith(baseUrl)).map(req => cache.delete(req)));
+      console.log('[SW] Deleted voice files:', baseUrl);
+    });
   }
 });
 
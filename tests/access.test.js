@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('scan and dwell activations respect the repeat-ignore window', () => {
+    const app = loadApp();
+    app.APP.settings = { tapRepeatIgnore: 60000 };
+    let clicks = 0;
+    const button = { tagName: 'BUTTON', click: () => clicks++ };
+    
+    app.activateScanTarget(button);
+    app.activateScanTarget(button);
+    assert.strictEqual(clicks, 1);
+    
+    app.APP.settings.tapRepeatIgnore = 0;
+    app.activateScanTarget(button);
+    assert.strictEqual(clicks, 2);
+});
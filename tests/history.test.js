@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+function appWithBoard(...phrases) {
+    const app = loadApp();
+    app.APP.settings = {};
+    app.APP.phrases = { rootId: 'home', groups: {
+        home: { id: 'home', name: 'Home', parentId: null, items: phrases.map(text => ({ type: 'phrase', text })) },
+    } };
+    app.APP.allPhrases = app.getAllPhrases(app.APP.phrases);
+    return app;
+}
+
+test('typeahead offers what was just said, and stops once it is deleted', () => {
+    const app = appWithBoard('Hello');
+    app.addToHistory('See you at the station');
+    assert.ok(app.APP.allPhrases.includes('See you at the station'));
+    
+    app.removeHistoryEntry(app.APP.historyByText.get('See you at the station'));
+    assert.ok(!app.APP.allPhrases.includes('See you at the station'));
+    assert.ok(app.APP.allPhrases.includes('Hello'));
+});
+
+test('deleting a history entry unlearns its words', () => {
+    const app = appWithBoard('Hello');
+    app.APP.prediction.learned = app.createNgramModel();
+    app.addToHistory('Pass the marmalade');
+    assert.ok(app.predictWords('Pass the mar').includes('marmalade'));
+    
+    app.removeHistoryEntry(app.APP.historyByText.get('Pass the marmalade'));
+    assert.ok(!app.predictWords('Pass the mar').includes('marmalade'));
+});
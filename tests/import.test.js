@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+/** Minimal stand-in for a File picked in the import dialog */
+function boardFile(name, data) {
+    return { name, text: async () => JSON.stringify(data) };
+}
+
+function exportedBoard(groups) {
+    return { format: 'htmu-board', schemaVersion: 2, board: { rootId: 'home', groups } };
+}
+
+test('a well-formed board imports', async () => {
+    const app = loadApp();
+    const board = await app.parseBoardFile(boardFile('board.json', exportedBoard({
+        home: { id: 'home', name: 'Home', parentId: null, items: [{ type: 'phrase', text: 'Hello' }, { type: 'group', id: 'food' }] },
+        food: { id: 'food', name: 'Food', parentId: 'home', items: [{ type: 'phrase', text: 'Tea', speakText: 42 }] },
+    })));
+    assert.strictEqual(board.groups.food.items[0].text, 'Tea');
+    assert.strictEqual('speakText' in board.groups.food.items[0], false);
+});
+
+test('a phrase without text is rejected', async () => {
+    const app = loadApp();
+    await assert.rejects(app.parseBoardFile(boardFile('board.json', exportedBoard({
+        home: { id: 'home', name: 'Home', parentId: null, items: [{ type: 'phrase', text: { en: 'Hello' } }] },
+    }))), /phrase without text/);
+    await assert.rejects(app.parseBoardFile(boardFile('board.json', exportedBoard({
+        home: { id: 'home', name: 'Home', parentId: null, items: ['Hello'] },
+    }))), /neither a phrase nor a group/);
+});
+
+test('a link to a missing group is rejected', async () => {
+    const app = loadApp();
+    await assert.rejects(app.parseBoardFile(boardFile('board.json', exportedBoard({
+        home: { id: 'home', name: 'Home', parentId: null, items: [{ type: 'group', id: 'gone' }] },
+    }))), /missing group/);
+});
+
+test('a group that contains itself is rejected', async () => {
+    const app = loadApp();
+    await assert.rejects(app.parseBoardFile(boardFile('board.json', exportedBoard({
+        home: { id: 'home', name: 'Home', parentId: null, items: [{ type: 'group', id: 'a' }] },
+        a: { id: 'a', name: 'A', parentId: 'home', items: [{ type: 'group', id: 'b' }] },
+        b: { id: 'b', name: 'B', parentId: 'a', items: [{ type: 'group', id: 'a' }] },
+    }))), /contains itself/);
+});
+
+test('a group linked from two places is merged once', () => {
+    const app = loadApp();
+    app.APP.phrases = { rootId: 'home', groups: { home: { id: 'home', name: 'Home', parentId: null, items: [] } } };
+    const imported = app.validateBoard({ rootId: 'home', groups: {
+        home: { id: 'home', name: 'Home', parentId: null, items: [{ type: 'group', id: 'a' }, { type: 'group', id: 'b' }] },
+        a: { id: 'a', name: 'A', parentId: 'home', items: [{ type: 'group', id: 'shared' }] },
+        b: { id: 'b', name: 'B', parentId: 'home', items: [{ type: 'group', id: 'shared' }] },
+        shared: { id: 'shared', name: 'Shared', parentId: 'a', items: [{ type: 'phrase', text: 'Yes' }] },
+    } });
+    app.mergeImportedGroup('home', imported, 'home');
+    const groups = Object.values(app.APP.phrases.groups);
+    assert.strictEqual(groups.filter(g => g.name === 'Shared').length, 1);
+});
+
+test('out-of-range cells are dropped', () => {
+    const app = loadApp();
+    const board = app.validateBoard({ rootId: 'home', groups: {
+        home: { id: 'home', name: 'Home', parentId: null, layout: { columns: 2, rows: 1, fixed: true }, items: [
+            { type: 'phrase', text: 'Yes', cell: 1 },
+            { type: 'phrase', text: 'No', cell: 999 },
+            { type: 'phrase', text: 'Maybe', cell: 'x' },
+        ] },
+    } });
+    assert.deepStrictEqual(board.groups.home.items.map(it => it.cell), [1, undefined, undefined]);
+});
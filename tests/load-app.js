@@ -0,0 +1,65 @@
+/**
+ * Load app.js into a sandbox so its functions can be tested under Node.
+ * The DOM and browser APIs are inert stubs: top-level wiring runs, nothing is rendered,
+ * and timers/storage never fire. Functions declared in app.js end up on the returned context.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/** Object that accepts any property access, call or construction */
+function inert() {
+    const stub = new Proxy(function () {}, {
+        get(target, prop) {
+            if (prop === 'then') return undefined;  // Not a promise
+            if (prop === Symbol.toPrimitive) return () => '';
+            if (prop === Symbol.iterator) return function* () {};
+            if (prop in target) return target[prop];
+            return stub;
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            return true;
+        },
+        apply: () => stub,
+        construct: () => stub,
+    });
+    return stub;
+}
+
+function loadApp() {
+    const document = inert();
+    const context = {
+        console: { log() {}, warn() {}, error() {} },
+        document,
+        window: inert(),
+        navigator: { language: 'en-GB' },
+        location: { origin: 'https://example.com', pathname: '/app/index.html' },
+        indexedDB: inert(),
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        setTimeout: () => 0,
+        clearTimeout() {},
+        setInterval: () => 0,
+        clearInterval() {},
+        requestAnimationFrame: () => 0,
+        cancelAnimationFrame() {},
+        performance: { now: () => Date.now() },
+        structuredClone,
+        URL,
+        Blob,
+        TextEncoder,
+        TextDecoder,
+        atob,
+        btoa,
+        Map,
+        Set,
+        WeakMap,
+    };
+    vm.createContext(context);
+    const source = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+    // `const APP` stays script-scoped; expose it for tests
+    vm.runInContext(`${source}\n;globalThis.APP = APP;`, context, { filename: 'app.js' });
+    return context;
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+function normalizer() {
+    const app = loadApp();
+    app.APP.settings = {};
+    return text => app.normalizeText(text);
+}
+
+test('plain long numbers are cardinals', () => {
+    const normalize = normalizer();
+    assert.strictEqual(normalize('8000000'), 'eight million');
+    assert.strictEqual(normalize('2024 2025 2026'),
+        'two thousand twenty-four two thousand twenty-five two thousand twenty-six');
+});
+
+test('phone-shaped numbers are read digit by digit', () => {
+    const normalize = normalizer();
+    assert.strictEqual(normalize('Call 555-1234'), 'Call five five five, one two three four');
+    assert.strictEqual(normalize('07700 900123'), 'zero seven seven zero zero, nine zero zero one two three');
+    assert.strictEqual(normalize('+44 20 7946'), 'plus four four, two zero, seven nine four six');
+});
+
+test('only rising pairs are ranges', () => {
+    const normalize = normalizer();
+    assert.strictEqual(normalize('pages 10-20'), 'pages ten to twenty');
+    assert.strictEqual(normalize('won 3-2'), 'won three-two');
+});
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('the learned model keeps only its most frequent n-grams', () => {
+    const app = loadApp();
+    const model = app.createNgramModel();
+    app.addToNgramModel(model, 'tea tea tea coffee', 1);
+    app.pruneNgramModel(model, 2);
+    assert.strictEqual(model.size, 2);
+    assert.deepStrictEqual([...model.counts.get('')], [['tea', 3]]);
+    assert.deepStrictEqual([...model.counts.get('tea')], [['tea', 2]]);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { loadApp } = require('./load-app');
+
+test('stopping speech also stops a scan cue that is playing', () => {
+    const app = loadApp();
+    app.APP.settings = {};
+    let stopped = false;
+    const scanState = vm.runInContext('scanState', app);
+    scanState.cue = { request: { id: 1 }, source: { stop: () => { stopped = true; } } };
+    
+    app.stopAudio();
+    assert.ok(stopped);
+    assert.strictEqual(scanState.cue, null);
+});
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+test('raw text skips the lexicon and normalization', () => {
+    const app = loadApp();
+    app.APP.settings = {};
+    app.APP.lexicon = [{ word: 'shiv', say: 'sheev' }];
+    app.compileLexicon();
+    
+    const plain = app.planUtterance('shiv 12', { speed: 1 });
+    assert.strictEqual(plain.parts[0].text, 'sheev twelve');
+    const raw = app.planUtterance('shiv 12', { speed: 1 }, { raw: true });
+    assert.strictEqual(raw.parts[0].text, 'shiv 12');
+});
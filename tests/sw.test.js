@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { loadApp } = require('./load-app');
+
+/** Run sw.js against an in-memory Cache Storage; returns the message handler and the voice cache */
+function loadServiceWorker() {
+    const handlers = {};
+    const entries = new Map();  // Normalized URL -> Response
+    const cache = {
+        async put(url, response) { entries.set(new Request(url).url, response); },
+        async keys() { return [...entries.keys()].map(url => new Request(url)); },
+        async delete(req) { return entries.delete(req.url); },
+    };
+    const context = {
+        console: { log() {} },
+        self: {
+            location: new URL('https://example.com/app/sw.js'),
+            addEventListener: (type, handler) => { handlers[type] = handler; },
+            skipWaiting() {},
+            clients: { claim() {} },
+        },
+        caches: { open: async () => cache },
+        Response,
+        URL,
+    };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8'), context);
+    return { message: data => handlers.message({ data }), entries };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('uninstalling a voice whose name has a space clears its cached files', async () => {
+    const app = loadApp();
+    const sw = loadServiceWorker();
+    const amy = app.getVoiceCacheUrl('Amy (UK)');
+    const other = app.getVoiceCacheUrl('Amy');
+    
+    sw.message({ type: 'CACHE_VOICE_FILE', url: amy + 'model.onnx', data: 'a', mimeType: 'application/octet-stream' });
+    sw.message({ type: 'CACHE_VOICE_FILE', url: other + 'model.onnx', data: 'b', mimeType: 'application/octet-stream' });
+    await flush();
+    assert.strictEqual(sw.entries.size, 2);
+    
+    sw.message({ type: 'DELETE_VOICE', baseUrl: amy });
+    await flush();
+    await flush();
+    assert.deepStrictEqual([...sw.entries.keys()], [new Request(other + 'model.onnx').url]);
+});
+
+test('a raw (unencoded) base URL still matches the cached files', async () => {
+    const sw = loadServiceWorker();
+    sw.message({ type: 'CACHE_VOICE_FILE', url: 'https://example.com/app/voice/Amy%20(UK)/x.js', data: 'a', mimeType: 'application/javascript' });
+    await flush();
+    sw.message({ type: 'DELETE_VOICE', baseUrl: 'https://example.com/app/voice/Amy (UK)/' });
+    await flush();
+    await flush();
+    assert.strictEqual(sw.entries.size, 0);
+});
@@ -0,0 +1,111 @@
+/**
+ * HTMU TTS synthesis worker
+ * Hosts the sherpa-onnx module from a .htmuvoice package off the main thread.
+ *
+ * Messages in:  { type: 'init', id, ttsScript, glueScript, wasmUrl, dataUrl }
+ *               { type: 'generate', id, text, sid, speed }
+ *               { type: 'cancel', id }
+ * Messages out: { type: 'ready', id, sampleRate, numSpeakers }
+ *               { type: 'progress', id, stage: 'queued' | 'generating', position }
+ *               { type: 'result', id, samples, sampleRate, elapsed }
+ *               { type: 'error', id, message }
+ */
+
+let tts = null;
+let busy = false;
+const queue = [];  // Pending generate requests, processed in order
+
+self.onmessage = (event) => {
+    const msg = event.data;
+    switch (msg.type) {
+        case 'init':
+            initModule(msg);
+            break;
+        case 'generate':
+            queue.push(msg);
+            self.postMessage({ type: 'progress', id: msg.id, stage: 'queued', position: queue.length });
+            processQueue();
+            break;
+        case 'cancel': {
+            const idx = queue.findIndex(req => req.id === msg.id);
+            if (idx !== -1) queue.splice(idx, 1);
+            break;
+        }
+    }
+};
+
+/**
+ * Load the sherpa-onnx scripts from source text
+ */
+function importScriptSource(source) {
+    const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+    try {
+        importScripts(url);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Set up the Emscripten module and create the TTS engine
+ */
+function initModule({ id, ttsScript, glueScript, wasmUrl, dataUrl }) {
+    self.Module = {
+        locateFile: function(path) {
+            if (path.endsWith('.wasm')) return wasmUrl;
+            if (path.endsWith('.data')) return dataUrl;
+            return path;
+        },
+        onRuntimeInitialized: function() {
+            try {
+                tts = createOfflineTts(self.Module);
+                self.postMessage({
+                    type: 'ready',
+                    id,
+                    sampleRate: tts.sampleRate,
+                    numSpeakers: tts.numSpeakers || 1
+                });
+                processQueue();
+            } catch (error) {
+                self.postMessage({ type: 'error', id, message: 'TTS creation failed: ' + error.message });
+            }
+        }
+    };
+
+    try {
+        importScriptSource(ttsScript);
+        importScriptSource(glueScript);
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: 'Failed to start voice engine: ' + error.message });
+    }
+}
+
+/**
+ * Generate the next queued request
+ */
+function processQueue() {
+    if (busy || !tts || queue.length === 0) return;
+
+    const req = queue.shift();
+    busy = true;
+    self.postMessage({ type: 'progress', id: req.id, stage: 'generating', position: 0 });
+
+    try {
+        const start = performance.now();
+        const audio = tts.generate({ text: req.text, sid: req.sid || 0, speed: req.speed || 1.0 });
+        const samples = new Float32Array(audio.samples);
+        self.postMessage({
+            type: 'result',
+            id: req.id,
+            samples,
+            sampleRate: audio.sampleRate,
+            elapsed: performance.now() - start
+        }, [samples.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', id: req.id, message: error.message });
+    }
+
+    busy = false;
+    // Yield so cancel messages that arrived during generation are handled first
+    setTimeout(processQueue, 0);
+}